@@ -28,6 +28,11 @@ if (!fs.existsSync(leavesDir)) {
   fs.mkdirSync(leavesDir, { recursive: true });
 }
 
+const regularizationsDir = path.join(uploadsDir, 'regularizations');
+if (!fs.existsSync(regularizationsDir)) {
+  fs.mkdirSync(regularizationsDir, { recursive: true });
+}
+
 // Configure storage for tasks
 const taskStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -72,6 +77,17 @@ const leaveStorage = multer.diskStorage({
   }
 });
 
+// Configure storage for attendance regularization attachments
+const regularizationStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, regularizationsDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `regularization-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
 // File filter for images only (for tasks)
 const imageFileFilter = (req, file, cb) => {
   const allowedTypes = /jpeg|jpg|png|gif|webp/;
@@ -139,5 +155,14 @@ const leaveUpload = multer({
   fileFilter: imageFileFilter
 });
 
-module.exports = { upload, chatUpload, documentUpload, leaveUpload };
+// Upload middleware for attendance regularization attachments (images and PDFs)
+const regularizationUpload = multer({
+  storage: regularizationStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: chatFileFilter
+});
+
+module.exports = { upload, chatUpload, documentUpload, leaveUpload, regularizationUpload };
 
@@ -0,0 +1,27 @@
+const Employee = require('../models/Employee');
+const LeavePolicy = require('../models/LeavePolicy');
+const { accrueEmployee } = require('../utils/leaveAccrual');
+
+// Credit leave accruals, carry-forward and expiry for every current employee.
+// Ledger entries are keyed, so re-running only fills in what is missing.
+// Returns the number of entries created.
+const accrueLeave = async () => {
+  const policies = await LeavePolicy.find({ isActive: true }).lean();
+  if (policies.length === 0) return 0;
+
+  const employees = await Employee.find({ status: { $in: ['active', 'on-leave'] } })
+    .select('_id dateOfJoining timezone')
+    .lean();
+
+  let created = 0;
+  for (const employee of employees) {
+    created += await accrueEmployee(employee, policies);
+  }
+
+  if (created > 0) {
+    console.log(`[JOB accrueLeave] Created ${created} leave ledger entries`);
+  }
+  return created;
+};
+
+module.exports = accrueLeave;
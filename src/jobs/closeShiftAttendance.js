@@ -0,0 +1,156 @@
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const { getDayStatus } = require('../utils/holidays');
+const { isPartialLeave } = require('../utils/partialLeave');
+const { addDays, toDateKey, isValidTimezone, getOrgTimezone } = require('../utils/timezone');
+
+// Once a shift has ended:
+//   • employees with no attendance row get one — 'absent', or 'on-leave',
+//     'holiday' / 'weekend' when that applies (a half-day or hourly leave alone
+//     still leaves the rest of the shift absent)
+// Once the shift's auto-close period has passed as well:
+//   • open check-ins are closed at the scheduled shift end with status
+//     'auto-clockout', open breaks are ended, and the row is flagged for HR review
+// Both the current and previous shift dates are checked so a missed run catches up.
+const closeShiftAttendance = async () => {
+  const now = new Date();
+
+  // Management accounts don't punch in (same exclusion as today-presence)
+  const managementUsers = await User.find({
+    role: { $in: ['hr', 'boss', 'admin', 'manager'] },
+    employee: { $exists: true, $ne: null }
+  }).select('employee').lean();
+
+  const employees = await Employee.find({
+    status: 'active',
+    _id: { $nin: managementUsers.map(u => u.employee) }
+  })
+    .select('_id department shift timezone dateOfJoining')
+    .lean();
+
+  if (employees.length === 0) return;
+
+  const [shiftMap, orgTimezone] = await Promise.all([
+    Shift.getForEmployees(employees),
+    getOrgTimezone()
+  ]);
+
+  const dayStatusCache = new Map();
+  const absenceOperations = [];
+  const closeCandidates = [];
+
+  for (const emp of employees) {
+    const timezone = isValidTimezone(emp.timezone) ? emp.timezone : orgTimezone;
+    const shift = shiftMap.get(emp._id.toString());
+    const currentShiftDate = shift.getShiftDate(now, timezone);
+
+    for (const shiftDate of [addDays(currentShiftDate, -1, timezone), currentShiftDate]) {
+      const shiftEnd = shift.getTimeOnShift(shiftDate, shift.endTime, timezone);
+      if (now < shiftEnd) continue;
+
+      const autoCloseAt = new Date(shiftEnd.getTime() + shift.autoCloseAfterMinutes * 60 * 1000);
+      if (now >= autoCloseAt) {
+        closeCandidates.push({ employee: emp._id, date: shiftDate, shiftEnd });
+      }
+
+      if (emp.dateOfJoining && new Date(emp.dateOfJoining) > shiftEnd) continue;
+
+      const cacheKey = `${toDateKey(shiftDate, timezone)}|${emp.department}|${timezone}`;
+      if (!dayStatusCache.has(cacheKey)) {
+        dayStatusCache.set(cacheKey, await getDayStatus(shiftDate, { department: emp.department, timezone }));
+      }
+      const { status: dayStatus, holiday } = dayStatusCache.get(cacheKey);
+
+      absenceOperations.push({
+        employee: emp._id,
+        date: shiftDate,
+        shift: shift._id,
+        status: dayStatus,
+        notes: holiday ? holiday.name : (dayStatus === 'weekend' ? 'Weekend' : undefined)
+      });
+    }
+  }
+
+  // ── Absences ──
+  if (absenceOperations.length > 0) {
+    const leaves = await Leave.find({
+      employee: { $in: [...new Set(absenceOperations.map(op => op.employee))] },
+      status: 'approved',
+      // Only the current and previous shift dates are checked
+      endDate: { $gte: addDays(now, -3, orgTimezone) }
+    }).select('employee startDate endDate duration').lean();
+
+    const findLeave = (employeeId, date) => leaves.find(leave =>
+      leave.employee.toString() === employeeId.toString()
+      && leave.startDate <= date
+      && leave.endDate >= date
+    );
+
+    const operations = absenceOperations.map(op => {
+      let status = op.status || 'absent';
+      let notes = op.notes || 'Marked absent automatically at shift end';
+      let partialLeaves = [];
+      const leave = !op.status && findLeave(op.employee, op.date);
+      if (leave && isPartialLeave(leave)) {
+        // Only part of the shift was on leave, the rest was missed
+        notes = 'Absent for the rest of the shift (partial leave on file)';
+        partialLeaves = [leave._id];
+      } else if (leave) {
+        status = 'on-leave';
+        notes = 'On approved leave';
+      }
+      return {
+        updateOne: {
+          filter: { employee: op.employee, date: op.date },
+          update: { $setOnInsert: { shift: op.shift, status, notes, leaves: partialLeaves } },
+          upsert: true
+        }
+      };
+    });
+
+    const result = await Attendance.bulkWrite(operations, { ordered: false });
+    if (result.upsertedCount > 0) {
+      console.log(`[JOB closeShiftAttendance] Created ${result.upsertedCount} absent/leave attendance rows`);
+    }
+  }
+
+  // ── Missed checkouts ──
+  if (closeCandidates.length > 0) {
+    const openRecords = await Attendance.find({
+      $or: closeCandidates.map(c => ({ employee: c.employee, date: c.date })),
+      'checkIn.time': { $exists: true },
+      'checkOut.time': { $exists: false }
+    });
+
+    for (const attendance of openRecords) {
+      const candidate = closeCandidates.find(c =>
+        c.employee.toString() === attendance.employee.toString()
+        && c.date.getTime() === attendance.date.getTime()
+      );
+      const closeTime = new Date(Math.max(candidate.shiftEnd.getTime(), attendance.checkIn.time.getTime()));
+
+      attendance.breaks.forEach(b => {
+        if (!b.endTime) {
+          b.endTime = new Date(Math.max(closeTime.getTime(), b.startTime.getTime()));
+          b.duration = Math.floor((b.endTime.getTime() - b.startTime.getTime()) / (1000 * 60));
+          b.autoClosed = true;
+        }
+      });
+
+      attendance.checkOut = { time: closeTime };
+      attendance.status = 'auto-clockout';
+      attendance.needsReview = true;
+      attendance.reviewReason = 'Missed checkout - closed automatically at shift end';
+      await attendance.save();
+    }
+
+    if (openRecords.length > 0) {
+      console.log(`[JOB closeShiftAttendance] Auto-closed ${openRecords.length} open check-ins`);
+    }
+  }
+};
+
+module.exports = closeShiftAttendance;
@@ -0,0 +1,95 @@
+const Attendance = require('../models/Attendance');
+const CompOffCredit = require('../models/CompOffCredit');
+const Employee = require('../models/Employee');
+const Settings = require('../models/Settings');
+const { getDayStatus } = require('../utils/holidays');
+const { getCompOffConfig, calculateCompOffCredit } = require('../utils/compOff');
+const { recordCompOffExpiry } = require('../utils/leaveAccrual');
+const { toDateKey, isValidTimezone, getOrgTimezone } = require('../utils/timezone');
+
+// Shifts checked out within this many days are looked at (catches up after
+// downtime and picks up check-outs added by regularization)
+const LOOKBACK_DAYS = 7;
+
+// Create pending comp-off credits for recent shifts with enough overtime or
+// worked on a holiday / weekend, and expire approved credits past their date.
+// Credits are unique per attendance row, so re-running creates nothing twice.
+const creditCompOff = async () => {
+  const now = new Date();
+  const config = getCompOffConfig(await Settings.getSettings());
+
+  if (config.enabled) {
+    const attendance = await Attendance.find({
+      date: { $gte: new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000) },
+      'checkOut.time': { $exists: true },
+      // Closed by the system at the scheduled end, so the hours weren't recorded
+      status: { $ne: 'auto-clockout' }
+    }).select('employee date workingHours overtime').lean();
+
+    const credited = await CompOffCredit.find({ attendance: { $in: attendance.map(record => record._id) } })
+      .select('attendance')
+      .lean();
+    const creditedIds = new Set(credited.map(credit => credit.attendance.toString()));
+    const candidates = attendance.filter(record => !creditedIds.has(record._id.toString()));
+
+    const employees = await Employee.find({ _id: { $in: [...new Set(candidates.map(record => record.employee.toString()))] } })
+      .select('_id department timezone')
+      .lean();
+    const employeeMap = new Map(employees.map(emp => [emp._id.toString(), emp]));
+    const orgTimezone = await getOrgTimezone();
+
+    const dayStatusCache = new Map();
+    const operations = [];
+
+    for (const record of candidates) {
+      const emp = employeeMap.get(record.employee.toString());
+      if (!emp) continue;
+      const timezone = isValidTimezone(emp.timezone) ? emp.timezone : orgTimezone;
+
+      const cacheKey = `${toDateKey(record.date, timezone)}|${emp.department}|${timezone}`;
+      if (!dayStatusCache.has(cacheKey)) {
+        dayStatusCache.set(cacheKey, await getDayStatus(record.date, { department: emp.department, timezone }));
+      }
+      const credit = calculateCompOffCredit(record, dayStatusCache.get(cacheKey).status, config);
+      if (!credit) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { attendance: record._id },
+          update: {
+            $setOnInsert: {
+              employee: record.employee,
+              attendance: record._id,
+              date: record.date,
+              ...credit,
+              status: 'pending'
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      const result = await CompOffCredit.bulkWrite(operations, { ordered: false });
+      if (result.upsertedCount > 0) {
+        console.log(`[JOB creditCompOff] Created ${result.upsertedCount} pending comp-off credits`);
+      }
+    }
+  }
+
+  // Expiry runs even when earning is switched off, for credits already approved
+  const expiringEmployees = await CompOffCredit.distinct('employee', {
+    status: 'approved',
+    expiresOn: { $lte: now }
+  });
+  let expired = 0;
+  for (const employeeId of expiringEmployees) {
+    expired += await recordCompOffExpiry(employeeId, now);
+  }
+  if (expired > 0) {
+    console.log(`[JOB creditCompOff] Expired unused comp-off from ${expired} credits`);
+  }
+};
+
+module.exports = creditCompOff;
@@ -0,0 +1,48 @@
+const markHolidayAttendance = require('./markHolidayAttendance');
+const closeShiftAttendance = require('./closeShiftAttendance');
+const accrueLeave = require('./accrueLeave');
+const creditCompOff = require('./creditCompOff');
+const syncChannels = require('./syncChannels');
+
+// ─── Scheduled Jobs ───────────────────────────────────────────────────
+// Shift dates differ per employee (shift and timezone), so jobs run on a
+// short interval and decide for themselves whether there is work to do.
+// Every job must be idempotent: it may run several times for the same day,
+// or on several server instances at once.
+const jobs = [
+  { name: 'markHolidayAttendance', intervalMinutes: 60, run: markHolidayAttendance },
+  { name: 'closeShiftAttendance', intervalMinutes: 15, run: closeShiftAttendance },
+  { name: 'accrueLeave', intervalMinutes: 360, run: accrueLeave },
+  { name: 'creditCompOff', intervalMinutes: 60, run: creditCompOff },
+  { name: 'syncChannels', intervalMinutes: 60, run: syncChannels }
+];
+
+const startJobs = (app) => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️  Scheduled jobs disabled (DISABLE_JOBS=true)');
+    return;
+  }
+
+  jobs.forEach(job => {
+    let isRunning = false;
+
+    const runJob = async () => {
+      // Skip if the previous run is still in progress
+      if (isRunning) return;
+      isRunning = true;
+      try {
+        await job.run(app);
+      } catch (error) {
+        console.error(`[JOB ${job.name}] Error:`, error);
+      } finally {
+        isRunning = false;
+      }
+    };
+
+    runJob();
+    setInterval(runJob, job.intervalMinutes * 60 * 1000);
+    console.log(`⏰ Scheduled job ${job.name} every ${job.intervalMinutes} min`);
+  });
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,62 @@
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
+const { getDayStatus } = require('../utils/holidays');
+const { isValidTimezone, toDateKey, getOrgTimezone } = require('../utils/timezone');
+
+// Create 'holiday' / 'weekend' attendance rows for every active employee whose
+// current shift date is a holiday or weekend day. Existing rows (e.g. the
+// employee checked in anyway) are never touched.
+const markHolidayAttendance = async () => {
+  const now = new Date();
+  const employees = await Employee.find({ status: 'active' })
+    .select('_id department shift timezone')
+    .lean();
+
+  if (employees.length === 0) return;
+
+  const [shiftMap, orgTimezone] = await Promise.all([
+    Shift.getForEmployees(employees),
+    getOrgTimezone()
+  ]);
+
+  // Many employees share a date and department; look each combination up once
+  const dayStatusCache = new Map();
+  const operations = [];
+
+  for (const emp of employees) {
+    const timezone = isValidTimezone(emp.timezone) ? emp.timezone : orgTimezone;
+    const shift = shiftMap.get(emp._id.toString());
+    const shiftDate = shift.getShiftDate(now, timezone);
+
+    const cacheKey = `${toDateKey(shiftDate, timezone)}|${emp.department}|${timezone}`;
+    if (!dayStatusCache.has(cacheKey)) {
+      dayStatusCache.set(cacheKey, await getDayStatus(shiftDate, { department: emp.department, timezone }));
+    }
+    const { status, holiday } = dayStatusCache.get(cacheKey);
+    if (!status) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { employee: emp._id, date: shiftDate },
+        update: {
+          $setOnInsert: {
+            shift: shift._id,
+            status,
+            notes: holiday ? holiday.name : 'Weekend'
+          }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  if (operations.length > 0) {
+    const result = await Attendance.bulkWrite(operations, { ordered: false });
+    if (result.upsertedCount > 0) {
+      console.log(`[JOB markHolidayAttendance] Marked ${result.upsertedCount} holiday/weekend attendance rows`);
+    }
+  }
+};
+
+module.exports = markHolidayAttendance;
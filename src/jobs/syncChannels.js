@@ -0,0 +1,9 @@
+const { syncAllChannels } = require('../utils/channels');
+
+// Create missing department channels and bring every channel's members in
+// line with its audience (catches changes made outside the API, e.g. seeding)
+const syncChannels = async (app) => {
+  await syncAllChannels(app.get('io'));
+};
+
+module.exports = syncChannels;
@@ -1,6 +1,16 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// User for a JWT, with employee and nested department populated.
+// Throws when the token is invalid; resolves to null when the user is gone.
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findById(decoded.id).populate({
+    path: 'employee',
+    populate: { path: 'department', select: 'name' }
+  });
+};
+
 // Protect routes ---------verify JWT token
 const protect = async (req, res, next) => {
   try {
@@ -18,14 +28,8 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Get user from token - populate employee and nested department
-    const user = await User.findById(decoded.id).populate({
-      path: 'employee',
-      populate: { path: 'department', select: 'name' }
-    });
+    // Verify token and get the user
+    const user = await getUserFromToken(token);
 
     if (!user) {
       return res.status(401).json({
@@ -51,6 +55,32 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Socket.io middleware: same JWT as `protect`, sent as `auth.token` in the
+// handshake (or an `Authorization: Bearer` header). Sets socket.user.
+const protectSocket = async (socket, next) => {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    let token = auth.token;
+    if (!token && headers.authorization && headers.authorization.startsWith('Bearer')) {
+      token = headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return next(new Error('Not authorized'));
+    }
+
+    const user = await getUserFromToken(token);
+    if (!user || !user.isActive) {
+      return next(new Error('Not authorized'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized'));
+  }
+};
+
 // Authorize by role
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -102,6 +132,7 @@ const isBossOrAdmin = (req, res, next) => {
 
 module.exports = {
   protect,
+  protectSocket,
   authorize,
   isHROrAbove,
   isManagerOrAbove,
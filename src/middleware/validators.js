@@ -42,11 +42,18 @@ const employeeValidator = [
 
 // Leave validators
 const leaveValidator = [
-  body('leaveType').isIn(['annual', 'sick', 'casual', 'maternity', 'paternity', 'unpaid', 'other'])
+  body('leaveType').isIn(['annual', 'sick', 'casual', 'maternity', 'paternity', 'unpaid', 'comp-off', 'other'])
     .withMessage('Invalid leave type'),
   body('startDate').isISO8601().withMessage('Valid start date is required'),
   body('endDate').isISO8601().withMessage('Valid end date is required'),
   body('reason').notEmpty().withMessage('Reason is required'),
+  body('duration').optional().isIn(['full-day', 'first-half', 'second-half', 'hours'])
+    .withMessage('Invalid leave duration'),
+  body('hours').if(body('duration').equals('hours')).isFloat({ min: 0.5 })
+    .withMessage('Hours must be at least 0.5 for hourly leave'),
+  body('startTime').optional({ values: 'falsy' }).matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be in HH:mm format'),
+  body('delegate').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid delegate'),
   handleValidation
 ];
 
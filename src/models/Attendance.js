@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Shift = require('./Shift');
+const { getEmployeeTimezone } = require('../utils/timezone');
 
 const attendanceSchema = new mongoose.Schema({
   employee: {
@@ -10,25 +12,46 @@ const attendanceSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Shift the employee was on when checking in
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
   checkIn: {
     time: Date,
     location: {
       latitude: Number,
-      longitude: Number
+      longitude: Number,
+      accuracy: Number
     },
-    ipAddress: String
+    ipAddress: String,
+    // Office geofence the punch matched, if any
+    office: String,
+    // Punched from outside every office geofence and allowed network
+    flagged: Boolean,
+    flagReason: String,
+    // Fingerprint credential that verified the punch
+    webauthnCredentialId: String
   },
   checkOut: {
     time: Date,
     location: {
       latitude: Number,
-      longitude: Number
+      longitude: Number,
+      accuracy: Number
     },
-    ipAddress: String
+    ipAddress: String,
+    // Office geofence the punch matched, if any
+    office: String,
+    // Punched from outside every office geofence and allowed network
+    flagged: Boolean,
+    flagReason: String,
+    // Fingerprint credential that verified the punch
+    webauthnCredentialId: String
   },
   status: {
     type: String,
-    enum: ['present', 'absent', 'late', 'early', 'overtime', 'clocked-out', 'early-clockout', 'half-day', 'on-leave', 'holiday', 'weekend'],
+    enum: ['present', 'absent', 'late', 'early', 'overtime', 'clocked-out', 'early-clockout', 'auto-clockout', 'half-day', 'on-leave', 'holiday', 'weekend'],
     default: 'absent'
   },
   workingHours: {
@@ -50,24 +73,51 @@ const attendanceSchema = new mongoose.Schema({
       type: String,
       enum: ['washroom', 'lunch', 'cigarette', 'break'],
       default: 'break'
-    }
+    },
+    // Closed by the shift-end job instead of the employee
+    autoClosed: {
+      type: Boolean,
+      default: false
+    },
+    // Fingerprint credentials that verified the break start / end
+    startCredentialId: String,
+    endCredentialId: String
   }],
   notes: {
     type: String
   },
+  // Flagged for HR review (e.g. checkout closed automatically at shift end)
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: {
+    type: String
+  },
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }
+  },
+  // Approved half-day / hourly leave taken on this shift
+  leaves: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave'
+  }],
+  // Approved corrections applied to this record (audit trail lives on each request)
+  regularizations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Regularization'
+  }]
 }, {
   timestamps: true
 });
 
 // Compound index for unique attendance per employee per day
 attendanceSchema.index({ employee: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ needsReview: 1, date: -1 });
 
 // Calculate working hours before saving
-attendanceSchema.pre('save', function (next) {
+attendanceSchema.pre('save', async function (next) {
   if (this.checkIn?.time && this.checkOut?.time) {
     const diffMs = this.checkOut.time - this.checkIn.time;
     const diffHours = diffMs / (1000 * 60 * 60);
@@ -79,20 +129,11 @@ attendanceSchema.pre('save', function (next) {
     }
     this.workingHours = Math.max(0, diffHours - breakHours);
 
-    // Calculate overtime based on checkout time after 4:05 AM
-    if (this.checkOut.time) {
-      const checkOutDate = new Date(this.checkOut.time);
-      const overtimeThreshold = new Date(checkOutDate);
-      overtimeThreshold.setHours(4, 5, 0, 0); // 4:05 AM
-
-      // If checkout is after 4:05 AM (and before noon to distinguish from evening)
-      if (checkOutDate > overtimeThreshold && checkOutDate.getHours() < 12) {
-        const overtimeMs = checkOutDate - overtimeThreshold;
-        this.overtime = overtimeMs / (1000 * 60 * 60);
-      } else {
-        this.overtime = 0;
-      }
-    }
+    // Calculate overtime past the shift's overtime threshold
+    const shift = (this.shift && await Shift.findById(this.shift))
+      || await Shift.getForEmployee(this.employee);
+    const timezone = await getEmployeeTimezone(this.employee);
+    this.overtime = shift.getOvertimeHours(this.checkOut.time, this.date, timezone);
   }
   next();
 });
@@ -1,50 +1,26 @@
 const mongoose = require('mongoose');
 
-const messageSchema = new mongoose.Schema({
-  sender: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  content: {
-    type: String,
-    required: false
-  },
-  messageType: {
-    type: String,
-    enum: ['text', 'image', 'file', 'system'],
-    default: 'text'
-  },
-  attachments: [{
-    name: String,
-    url: String,
-    attachmentType: String,
-    size: Number
-  }],
-  readBy: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    readAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  isDeleted: {
-    type: Boolean,
-    default: false
-  }
-}, {
-  timestamps: true
-});
-
 const chatSchema = new mongoose.Schema({
   chatType: {
     type: String,
-    enum: ['private', 'group'],
+    enum: ['private', 'group', 'channel'],
     default: 'private'
   },
+  // Channels: members follow their audience instead of being added by hand
+  //   department    everyone in `department`, created for every department
+  //   announcement  everyone (or everyone in `departments`); only HR / boss post
+  channelType: {
+    type: String,
+    enum: ['department', 'announcement']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  departments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  }],
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -52,11 +28,51 @@ const chatSchema = new mongoose.Schema({
   groupName: {
     type: String
   },
+  // Group owner; passes to another admin when they leave or their account is
+  // deactivated
   groupAdmin: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  messages: [messageSchema],
+  // Group admins, including the owner
+  groupAdmins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Participants who muted the chat's notifications (no `until`: until unmuted)
+  mutedBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    until: Date
+  }],
+  // Group membership changes, oldest first
+  memberHistory: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['added', 'removed', 'left', 'promoted', 'demoted', 'owner'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Messages are stored in the Message collection; this is the latest one
+  // for chat lists
   lastMessage: {
     content: String,
     sender: {
@@ -75,6 +91,9 @@ const chatSchema = new mongoose.Schema({
 
 // Index for faster queries
 chatSchema.index({ participants: 1 });
+chatSchema.index({ groupAdmin: 1 });
+// One channel per department
+chatSchema.index({ department: 1 }, { unique: true, partialFilterExpression: { channelType: 'department' } });
 chatSchema.index({ 'lastMessage.createdAt': -1 });
 
 module.exports = mongoose.model('Chat', chatSchema);
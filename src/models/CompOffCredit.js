@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Comp-off earned on one shift: overtime above the threshold, or work on a
+// holiday or weekend. Credits are created pending; HR approval adds the days
+// to the employee's comp-off leave balance until they expire.
+const compOffCreditSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: true
+  },
+  // Shift date the comp-off was earned on
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['overtime', 'holiday', 'weekend'],
+    required: true
+  },
+  // Overtime hours (overtime) or hours worked (holiday / weekend)
+  hours: {
+    type: Number,
+    required: true
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 0.5
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Set on approval; unused days lapse after this date (none = never)
+  expiresOn: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedOn: {
+    type: Date
+  },
+  reviewerComments: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// One credit per shift
+compOffCreditSchema.index({ attendance: 1 }, { unique: true });
+compOffCreditSchema.index({ employee: 1, status: 1, date: -1 });
+compOffCreditSchema.index({ status: 1, expiresOn: 1 });
+
+module.exports = mongoose.model('CompOffCredit', compOffCreditSchema);
@@ -31,6 +31,22 @@ const departmentSchema = new mongoose.Schema({
   location: {
     type: String
   },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Check-in, check-out and breaks need a fresh fingerprint (WebAuthn) assertion
+  requirePunchVerification: {
+    type: Boolean,
+    default: false
+  },
+  // People that must be working on any working day (0 = no minimum).
+  // Approving leave that drops the department below it returns a warning.
+  minStaffing: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
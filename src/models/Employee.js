@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timezone');
 
 const employeeSchema = new mongoose.Schema({
   employeeId: {
@@ -72,6 +73,24 @@ const employeeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Employee'
   },
+  // Overrides the department's shift when set
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Overrides the organization timezone (Settings.timezone) when set
+  timezone: {
+    type: String,
+    validate: {
+      validator: (value) => !value || isValidTimezone(value),
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+  // Exempt from office geofence / network checks on check-in and check-out
+  remoteWorkAllowed: {
+    type: Boolean,
+    default: false
+  },
   avatar: {
     type: String,
     default: ''
@@ -81,6 +100,8 @@ const employeeSchema = new mongoose.Schema({
     enum: ['pending', 'active', 'on-leave', 'terminated', 'resigned', 'rejected'],
     default: 'pending'
   },
+  // Legacy static balance, no longer updated. Real balances come from the
+  // leave ledger (GET /api/leaves/balance).
   leaveBalance: {
     annual: { type: Number, default: 20 },
     sick: { type: Number, default: 10 },
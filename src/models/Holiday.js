@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+  // Midnight of the holiday in the organization timezone
+  date: {
+    type: Date,
+    required: [true, 'Holiday date is required']
+  },
+  // Repeats every year on the same month/day from `date` onwards
+  isRecurring: {
+    type: Boolean,
+    default: false
+  },
+  // Empty means the holiday applies to every department
+  departments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  }],
+  description: {
+    type: String,
+    default: ''
+  },
+  notice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notice'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ isActive: 1, date: 1 });
+holidaySchema.index({ isActive: 1, isRecurring: 1 });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
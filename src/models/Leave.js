@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Shift = require('./Shift');
+const { countEmployeeWorkingDays } = require('../utils/holidays');
 
 const leaveSchema = new mongoose.Schema({
   employee: {
@@ -8,7 +10,7 @@ const leaveSchema = new mongoose.Schema({
   },
   leaveType: {
     type: String,
-    enum: ['annual', 'sick', 'casual', 'maternity', 'paternity', 'unpaid', 'other'],
+    enum: ['annual', 'sick', 'casual', 'maternity', 'paternity', 'unpaid', 'comp-off', 'other'],
     required: true
   },
   startDate: {
@@ -19,6 +21,25 @@ const leaveSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Half-day and hourly leave cover part of a single shift date
+  duration: {
+    type: String,
+    enum: ['full-day', 'first-half', 'second-half', 'hours'],
+    default: 'full-day'
+  },
+  hours: {
+    type: Number,
+    min: [0.5, 'Hourly leave must be at least half an hour']
+  },
+  // Part of the shift taken off ('HH:mm', may cross midnight on night shifts)
+  startTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format']
+  },
+  endTime: {
+    type: String
+  },
+  // Working days, fractional for half-day and hourly leave
   totalDays: {
     type: Number,
     required: true
@@ -36,6 +57,27 @@ const leaveSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Approval chain resolved when the leave was requested. Steps are worked
+  // through in order; the leave is approved once none is left pending.
+  approvalSteps: [{
+    approver: {
+      type: String,
+      enum: ['manager', 'department-head', 'hr', 'boss'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'skipped'],
+      default: 'pending'
+    },
+    actedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actedOn: Date,
+    comments: String
+  }],
+  // Final decision (last approval or the rejection)
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -57,6 +99,18 @@ const leaveSchema = new mongoose.Schema({
   contactDuringLeave: {
     email: String
   },
+  // Colleague covering while the employee is away: new tasks are also assigned
+  // to them and chat auto-replies point to them
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  // Added to the automatic out-of-office chat reply
+  outOfOfficeMessage: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Out-of-office message cannot exceed 500 characters']
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -65,11 +119,31 @@ const leaveSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate total days before saving
-leaveSchema.pre('save', function (next) {
-  if (this.startDate && this.endDate) {
-    const diffTime = Math.abs(this.endDate - this.startDate);
-    this.totalDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
+// Calculate total days whenever the dates change (holidays and weekends are not counted).
+// Half-day and hourly leave count for their share of the employee's shift.
+// Runs before validation because totalDays is required.
+leaveSchema.pre('validate', async function (next) {
+  const changed = ['startDate', 'endDate', 'duration', 'hours', 'startTime'].some(path => this.isModified(path));
+  if (this.startDate && this.endDate && changed) {
+    const { workingDays } = await countEmployeeWorkingDays(this.employee, this.startDate, this.endDate);
+    this.totalDays = workingDays;
+
+    if (this.duration !== 'full-day') {
+      this.endTime = undefined;
+      if (this.endDate - this.startDate >= 24 * 60 * 60 * 1000) {
+        this.invalidate('endDate', 'Half-day and hourly leave must start and end on the same day');
+      } else if (workingDays > 0) {
+        const shift = await Shift.getForEmployee(this.employee);
+        const window = shift.getLeaveWindow(this.duration, { startTime: this.startTime, hours: this.hours });
+        if (window) {
+          this.startTime = window.startTime;
+          this.endTime = window.endTime;
+          this.totalDays = window.days;
+        } else {
+          this.invalidate('hours', `Leave hours must fall within the shift (${shift.startTime} - ${shift.endTime})`);
+        }
+      }
+    }
   }
   next();
 });
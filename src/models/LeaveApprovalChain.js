@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Who approves a step:
+//   manager          the employee's direct manager (Employee.manager)
+//   department-head  head of the employee's department
+//   hr               any HR user
+//   boss             boss or admin
+const APPROVERS = ['manager', 'department-head', 'hr', 'boss'];
+
+const approvalStepSchema = new mongoose.Schema({
+  approver: {
+    type: String,
+    enum: APPROVERS,
+    required: [true, 'Step approver is required']
+  },
+  // Step is only required for requests longer than this many days (0 = always)
+  aboveDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// Chains apply to a department and/or leave type. The most specific active chain
+// wins: department + leave type → department → leave type → neither (org default).
+const leaveApprovalChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Chain name is required'],
+    trim: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  leaveType: {
+    type: String,
+    enum: ['annual', 'sick', 'casual', 'maternity', 'paternity', 'unpaid', 'comp-off', 'other', null],
+    default: null
+  },
+  steps: {
+    type: [approvalStepSchema],
+    validate: [steps => steps.length > 0, 'At least one approval step is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active chain per department / leave type combination
+leaveApprovalChainSchema.index(
+  { department: 1, leaveType: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('LeaveApprovalChain', leaveApprovalChainSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Every change to an employee's leave entitlement for a leave year:
+// credits (accrual, carry-forward, comp-off, positive adjustments, reversals) are positive,
+// debits (approved leave, expiry, negative adjustments) are negative.
+const leaveLedgerSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  leaveType: {
+    type: String,
+    required: true
+  },
+  // Leave year the entry counts towards (in the employee's timezone).
+  // Comp-off balances span years; for them this is only the year of the entry.
+  year: {
+    type: Number,
+    required: true
+  },
+  entryType: {
+    type: String,
+    enum: ['accrual', 'carry-forward', 'comp-off', 'expiry', 'deduction', 'reversal', 'adjustment'],
+    required: true
+  },
+  days: {
+    type: Number,
+    required: true
+  },
+  // When the entry takes effect
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  leave: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave'
+  },
+  compOffCredit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompOffCredit'
+  },
+  description: {
+    type: String
+  },
+  // Makes automatic entries idempotent (e.g. one accrual per employee, type and month)
+  key: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leaveLedgerSchema.index({ key: 1 }, { unique: true, sparse: true });
+leaveLedgerSchema.index({ employee: 1, year: 1, leaveType: 1, effectiveDate: 1 });
+
+module.exports = mongoose.model('LeaveLedger', leaveLedgerSchema);
@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const leavePolicySchema = new mongoose.Schema({
   leaveType: {
     type: String,
-    enum: ['annual', 'sick', 'casual', 'maternity', 'paternity', 'unpaid', 'other'],
+    enum: ['annual', 'sick', 'casual', 'maternity', 'paternity', 'unpaid', 'comp-off', 'other'],
     required: true,
     unique: true
   },
@@ -13,6 +13,37 @@ const leavePolicySchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // yearly: the full limit is credited on 1 January
+  // monthly: a twelfth of the limit is credited at the start of each month
+  accrualFrequency: {
+    type: String,
+    enum: ['yearly', 'monthly'],
+    default: 'yearly'
+  },
+  // Employees joining mid-year only accrue for the part of the year they are employed
+  prorateFromJoining: {
+    type: Boolean,
+    default: true
+  },
+  // Unused days carried into the next year (0 = none)
+  carryForwardLimit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Carried days not used within this many months of the new year expire (0 = never)
+  carryForwardExpiryMonths: {
+    type: Number,
+    min: 0,
+    max: 12,
+    default: 0
+  },
+  // Months of service from dateOfJoining before this leave can be requested
+  minServiceMonths: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   description: {
     type: String,
     default: ''
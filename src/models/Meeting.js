@@ -21,7 +21,8 @@ const meetingSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'declined', 'tentative'],
+      // on-leave: invited while on approved leave
+      enum: ['pending', 'accepted', 'declined', 'tentative', 'on-leave'],
       default: 'pending'
     },
     responseTime: Date
@@ -86,6 +87,11 @@ meetingSchema.index({ startTime: 1 });
 meetingSchema.index({ organizer: 1, startTime: -1 });
 meetingSchema.index({ status: 1, startTime: 1 });
 meetingSchema.index({ 'attendees.employee': 1, startTime: 1 });
+// Global search (GET /api/search); title matches rank highest
+meetingSchema.index(
+  { title: 'text', description: 'text', 'agenda.topic': 'text' },
+  { weights: { title: 10, description: 3, 'agenda.topic': 3 }, name: 'meeting_search' }
+);
 
 module.exports = mongoose.model('Meeting', meetingSchema);
 
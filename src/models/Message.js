@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: false
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'image', 'file', 'system'],
+    default: 'text'
+  },
+  attachments: [{
+    name: String,
+    url: String,
+    attachmentType: String,
+    size: Number
+  }],
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Recipients whose client received the message (readers count as well)
+  deliveredTo: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  // Set on automatic out-of-office replies (one per leave per chat)
+  autoReplyFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave'
+  },
+  // Message this one replies to (same chat)
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Earlier versions of the content, oldest first
+  editHistory: [{
+    _id: false,
+    content: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date
+  },
+  // One entry per user and emoji
+  reactions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    emoji: {
+      type: String,
+      required: true
+    },
+    reactedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Messages of a chat, newest first (cursor pagination on createdAt + _id)
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+// Unread messages of a chat for a user
+messageSchema.index({ chat: 1, 'readBy.user': 1 });
+messageSchema.index({ chat: 1, 'deliveredTo.user': 1 });
+messageSchema.index({ chat: 1, autoReplyFor: 1 });
+messageSchema.index({ sender: 1 });
+// Global search (GET /api/search)
+messageSchema.index({ content: 'text' });
+// Thread of replies to a message
+messageSchema.index({ replyTo: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
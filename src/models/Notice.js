@@ -85,6 +85,11 @@ const noticeSchema = new mongoose.Schema({
 // Index for faster queries
 noticeSchema.index({ publishedAt: -1 });
 noticeSchema.index({ category: 1, isActive: 1 });
+// Global search (GET /api/search); title matches rank highest
+noticeSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 10, content: 3 }, name: 'notice_search' }
+);
 
 module.exports = mongoose.model('Notice', noticeSchema);
 
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Categories users can mute (User.notificationPreferences.muted)
+const NOTIFICATION_CATEGORIES = ['leave', 'attendance', 'task', 'meeting', 'ticket', 'chat', 'notice', 'payroll', 'account'];
+
+// A stored copy of a real-time event for one user, so it survives them being offline
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: NOTIFICATION_CATEGORIES,
+    required: true
+  },
+  // Socket event the notification mirrors (e.g. newLeaveRequest)
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Event payload (IDs of the leave, task, chat… it refers to)
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, category: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NOTIFICATION_CATEGORIES = NOTIFICATION_CATEGORIES;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One monthly pay run. Payslips are (re)computed while the run is a draft,
+// frozen once approved, and can no longer be reopened once locked.
+const payrollRunSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  // Month boundaries in the organization timezone
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'locked'],
+    default: 'draft'
+  },
+  // Payroll settings the payslips were computed with
+  config: {
+    currency: String,
+    overtimeRate: Number,
+    hoursPerDay: Number,
+    lateGraceCount: Number,
+    latePenaltyDays: Number
+  },
+  totals: {
+    employees: { type: Number, default: 0 },
+    grossPay: { type: Number, default: 0 },
+    totalDeductions: { type: Number, default: 0 },
+    netPay: { type: Number, default: 0 }
+  },
+  notes: {
+    type: String
+  },
+  calculatedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedOn: {
+    type: Date
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lockedOn: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+payrollRunSchema.index({ year: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('PayrollRun', payrollRunSchema);
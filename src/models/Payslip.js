@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const payslipSchema = new mongoose.Schema({
+  payrollRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun',
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true
+  },
+  // Copied from the run so employees only see published payslips
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'locked'],
+    default: 'draft'
+  },
+  // Monthly salary at the time of the run (Employee.salary)
+  salary: {
+    basic: { type: Number, default: 0 },
+    allowances: { type: Number, default: 0 },
+    deductions: { type: Number, default: 0 }
+  },
+  // Working days exclude weekends and holidays
+  workingDays: { type: Number, default: 0 },
+  payableDays: { type: Number, default: 0 },
+  dailyRate: { type: Number, default: 0 },
+  notEmployedDays: { type: Number, default: 0 },
+  absentDays: { type: Number, default: 0 },
+  unpaidLeaveDays: { type: Number, default: 0 },
+  overtimeHours: { type: Number, default: 0 },
+  lateCount: { type: Number, default: 0 },
+  earnings: {
+    basic: { type: Number, default: 0 },
+    allowances: { type: Number, default: 0 },
+    overtime: { type: Number, default: 0 }
+  },
+  deductions: {
+    notEmployed: { type: Number, default: 0 },
+    absence: { type: Number, default: 0 },
+    unpaidLeave: { type: Number, default: 0 },
+    latePenalty: { type: Number, default: 0 },
+    fixed: { type: Number, default: 0 }
+  },
+  grossPay: { type: Number, default: 0 },
+  totalDeductions: { type: Number, default: 0 },
+  netPay: { type: Number, default: 0 },
+  currency: {
+    type: String,
+    default: 'PKR'
+  }
+}, {
+  timestamps: true
+});
+
+payslipSchema.index({ payrollRun: 1, employee: 1 }, { unique: true });
+payslipSchema.index({ employee: 1, status: 1, year: -1, month: -1 });
+
+module.exports = mongoose.model('Payslip', payslipSchema);
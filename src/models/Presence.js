@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Open socket connections of one user across all server instances
+// (used by the 'mongo' presence store)
+const presenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  connections: [{
+    _id: false,
+    // Socket ID
+    id: {
+      type: String,
+      required: true
+    },
+    // Server instance holding the socket
+    instance: {
+      type: String,
+      required: true
+    },
+    // Refreshed by the instance's heartbeat; older connections are treated as gone
+    seenAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // When the last connection closed
+  lastSeen: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+presenceSchema.index({ user: 1 }, { unique: true });
+presenceSchema.index({ 'connections.instance': 1 });
+
+module.exports = mongoose.model('Presence', presenceSchema);
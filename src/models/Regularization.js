@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Snapshot of the attendance fields a regularization can change
+const attendanceSnapshotSchema = new mongoose.Schema({
+  checkIn: Date,
+  checkOut: Date,
+  status: String,
+  workingHours: Number,
+  overtime: Number
+}, { _id: false });
+
+const regularizationSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  // Shift date being corrected (same value as attendance.date)
+  date: {
+    type: Date,
+    required: true
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  },
+  type: {
+    type: String,
+    enum: ['missed-check-in', 'missed-check-out', 'wrong-check-in', 'wrong-check-out', 'other'],
+    required: true
+  },
+  requestedCheckIn: {
+    type: Date
+  },
+  requestedCheckOut: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required']
+  },
+  attachments: [{
+    name: String,
+    url: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedOn: {
+    type: Date
+  },
+  reviewerComments: {
+    type: String
+  },
+  // Attendance before and after the approved change was applied
+  audit: {
+    before: attendanceSnapshotSchema,
+    after: attendanceSnapshotSchema,
+    attendanceCreated: Boolean
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+regularizationSchema.index({ employee: 1, status: 1, createdAt: -1 });
+regularizationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Regularization', regularizationSchema);
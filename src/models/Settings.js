@@ -1,4 +1,36 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { isValidIpRange } = require('../utils/punchLocation');
+
+const officeLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Geofence radius around the office
+  radiusMeters: {
+    type: Number,
+    default: 200,
+    min: 10
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const settingsSchema = new mongoose.Schema({
   companyName: {
@@ -7,6 +39,95 @@ const settingsSchema = new mongoose.Schema({
     default: 'Cross DIGI',
     trim: true
   },
+  // IANA timezone used for all day/week/month/year boundaries
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+  // Days of the week off (0 = Sunday … 6 = Saturday)
+  weekendDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 6]
+  },
+  // Monthly pay run rules
+  payroll: {
+    currency: {
+      type: String,
+      default: 'PKR',
+      uppercase: true,
+      trim: true
+    },
+    // Multiplier on the hourly rate for overtime hours
+    overtimeRate: {
+      type: Number,
+      default: 1.5,
+      min: 0
+    },
+    // Hours in a working day, used to derive the hourly rate from the daily rate
+    hoursPerDay: {
+      type: Number,
+      default: 8,
+      min: 1,
+      max: 24
+    },
+    // Late arrivals per month before penalties start
+    lateGraceCount: {
+      type: Number,
+      default: 3,
+      min: 0
+    },
+    // Fraction of a day's pay deducted for each late arrival beyond the grace count
+    latePenaltyDays: {
+      type: Number,
+      default: 0.5,
+      min: 0
+    }
+  },
+  // Comp-off credit earned from overtime and holiday / weekend work
+  compOff: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Overtime hours on a shift before it earns comp-off
+    overtimeThresholdHours: {
+      type: Number,
+      default: 2,
+      min: 0
+    },
+    // Hours of work that make up one comp-off day
+    hoursPerDay: {
+      type: Number,
+      default: 8,
+      min: 1,
+      max: 24
+    },
+    // Days after the day it was earned that approved comp-off lapses (0 = never)
+    expiryDays: {
+      type: Number,
+      default: 90,
+      min: 0
+    }
+  },
+  // What happens to punches from outside every office geofence and allowed network
+  punchRestriction: {
+    type: String,
+    enum: ['off', 'flag', 'block'],
+    default: 'off'
+  },
+  officeLocations: [officeLocationSchema],
+  // Allowed IP addresses or CIDR ranges (e.g. 203.0.113.0/24)
+  allowedIpRanges: {
+    type: [String],
+    validate: {
+      validator: (ranges) => ranges.every(isValidIpRange),
+      message: 'Allowed IP ranges must be IP addresses or CIDR ranges'
+    }
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const { getZonedParts, fromZonedParts, minutesOfDay } = require('../utils/timezone');
+
+const TIME_OF_DAY = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'];
+
+// The original night shift (4:00 PM – 4:00 AM, window opens at 3:00 PM).
+// Used to seed the default shift when none exists yet.
+const DEFAULT_SHIFT = {
+  name: 'Night Shift',
+  startTime: '16:00',
+  endTime: '04:00',
+  graceMinutes: 5,
+  earlyWindowMinutes: 60,
+  overtimeThresholdMinutes: 5
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// 'HH:mm' → minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// minutes since midnight → 'HH:mm'
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const shiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shift name is required'],
+    trim: true
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Shift start time is required'],
+    match: TIME_OF_DAY
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Shift end time is required'],
+    match: TIME_OF_DAY
+  },
+  // Minutes after start that still count as "present", and minutes before
+  // end that still count as a normal clock-out
+  graceMinutes: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  // How long before start check-in opens (counted as "early")
+  earlyWindowMinutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  // Minutes after end before overtime starts counting
+  overtimeThresholdMinutes: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  // Open check-ins are closed automatically this long after end
+  autoCloseAfterMinutes: {
+    type: Number,
+    default: 120,
+    min: 0
+  },
+  // Period where check-in is blocked. Defaults to end → (start - earlyWindow)
+  deadZone: {
+    start: { type: String, match: TIME_OF_DAY },
+    end: { type: String, match: TIME_OF_DAY }
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Check-in window as minutes of day: closes at the dead zone start, opens at its end.
+// The shift date also resets when the window opens.
+shiftSchema.methods.getWindow = function () {
+  const start = toMinutes(this.startTime);
+  const closesAt = this.deadZone?.start ? toMinutes(this.deadZone.start) : toMinutes(this.endTime);
+  const opensAt = this.deadZone?.end
+    ? toMinutes(this.deadZone.end)
+    : (start - this.earlyWindowMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return { closesAt, opensAt };
+};
+
+// Dead zone as 'HH:mm' strings, for messages and API responses
+shiftSchema.methods.getDeadZone = function () {
+  const { closesAt, opensAt } = this.getWindow();
+  return { start: toTime(closesAt), end: toTime(opensAt) };
+};
+
+// Shift date for a moment in time, at midnight in the timezone (the value stored
+// in attendance.date). Before the window opens the moment still belongs to the
+// previous day's shift.
+shiftSchema.methods.getShiftDate = function (now, timezone) {
+  const { year, month, day } = getZonedParts(now, timezone);
+  const beforeOpening = minutesOfDay(now, timezone) < this.getWindow().opensAt;
+  return fromZonedParts({ year, month, day: beforeOpening ? day - 1 : day }, timezone);
+};
+
+// Concrete Date for a time of day within the shift that starts on shiftDate.
+// Times earlier than the window opening fall on the next calendar day.
+shiftSchema.methods.getTimeOnShift = function (shiftDate, time, timezone) {
+  const minutes = toMinutes(time);
+  const { year, month, day } = getZonedParts(shiftDate, timezone);
+  return fromZonedParts({
+    year,
+    month,
+    day: minutes < this.getWindow().opensAt ? day + 1 : day,
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  }, timezone);
+};
+
+shiftSchema.methods.isInDeadZone = function (now, timezone) {
+  const { closesAt, opensAt } = this.getWindow();
+  const minutes = minutesOfDay(now, timezone);
+  if (closesAt <= opensAt) {
+    return minutes >= closesAt && minutes < opensAt;
+  }
+  // Dead zone crosses midnight (e.g. day shifts)
+  return minutes >= closesAt || minutes < opensAt;
+};
+
+// Length of the shift in minutes (night shifts cross midnight)
+shiftSchema.methods.getDurationMinutes = function () {
+  return (toMinutes(this.endTime) - toMinutes(this.startTime) + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+};
+
+// Minutes from shift start to a time of day ('HH:mm') within the shift
+shiftSchema.methods.getShiftOffset = function (time) {
+  return (toMinutes(time) - toMinutes(this.startTime) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+};
+
+// Part of the shift taken off by a half-day or hourly leave, as 'HH:mm' times and
+// the fraction of a day it counts for. Hourly leave starts at `startTime` (shift
+// start by default). Returns null when the hours don't fit inside the shift.
+shiftSchema.methods.getLeaveWindow = function (duration, { startTime, hours } = {}) {
+  const shiftStart = toMinutes(this.startTime);
+  const length = this.getDurationMinutes();
+  let from;
+  let to;
+
+  if (duration === 'first-half') {
+    from = 0;
+    to = Math.round(length / 2);
+  } else if (duration === 'second-half') {
+    from = Math.round(length / 2);
+    to = length;
+  } else if (duration === 'hours') {
+    if (!(hours > 0)) return null;
+    from = startTime ? this.getShiftOffset(startTime) : 0;
+    to = from + Math.round(hours * 60);
+    if (to > length) return null;
+  } else {
+    return null;
+  }
+
+  return {
+    startTime: toTime((shiftStart + from) % MINUTES_PER_DAY),
+    endTime: toTime((shiftStart + to) % MINUTES_PER_DAY),
+    days: duration === 'hours' ? Math.round((to - from) / length * 100) / 100 : 0.5
+  };
+};
+
+// early: before start, present: within grace after start, late: afterwards.
+// `startTime` overrides the expected start (e.g. after a first-half leave).
+shiftSchema.methods.getCheckInStatus = function (checkInTime, timezone, { startTime } = {}) {
+  const shiftDate = this.getShiftDate(checkInTime, timezone);
+  const start = this.getTimeOnShift(shiftDate, startTime || this.startTime, timezone);
+  const presentUntil = new Date(start.getTime() + this.graceMinutes * 60 * 1000);
+
+  if (checkInTime < start) return 'early';
+  if (checkInTime <= presentUntil) return 'present';
+  return 'late';
+};
+
+// early-clockout: before end minus grace, clocked-out: up to the overtime threshold,
+// overtime: afterwards. `endTime` overrides the expected end (e.g. before a
+// second-half leave); overtime still counts from the scheduled end.
+shiftSchema.methods.getCheckOutStatus = function (checkOutTime, shiftDate, timezone, { endTime } = {}) {
+  const end = this.getTimeOnShift(shiftDate, this.endTime, timezone);
+  const expectedEnd = endTime ? this.getTimeOnShift(shiftDate, endTime, timezone) : end;
+  const normalFrom = new Date(expectedEnd.getTime() - this.graceMinutes * 60 * 1000);
+  const overtimeFrom = new Date(end.getTime() + this.overtimeThresholdMinutes * 60 * 1000);
+
+  if (checkOutTime < normalFrom) return 'early-clockout';
+  if (checkOutTime <= overtimeFrom) return 'clocked-out';
+  return 'overtime';
+};
+
+// Overtime hours counted from the overtime threshold after shift end
+shiftSchema.methods.getOvertimeHours = function (checkOutTime, shiftDate, timezone) {
+  const end = this.getTimeOnShift(shiftDate, this.endTime, timezone);
+  const overtimeFrom = end.getTime() + this.overtimeThresholdMinutes * 60 * 1000;
+  const overtimeMs = new Date(checkOutTime).getTime() - overtimeFrom;
+  return overtimeMs > 0 ? overtimeMs / (1000 * 60 * 60) : 0;
+};
+
+// Ensure a default shift always exists
+shiftSchema.statics.getDefault = async function () {
+  let shift = await this.findOne({ isDefault: true, isActive: true });
+  if (!shift) {
+    shift = await this.create({ ...DEFAULT_SHIFT, isDefault: true });
+  }
+  return shift;
+};
+
+// Resolve shifts for many employees at once.
+// Precedence: employee's own shift → department shift → default shift.
+// Returns a Map of employeeId → shift document.
+shiftSchema.statics.getForEmployees = async function (employees) {
+  const Department = mongoose.model('Department');
+  const [shifts, departments, fallback] = await Promise.all([
+    this.find({ isActive: true }),
+    Department.find({ shift: { $ne: null } }).select('shift').lean(),
+    this.getDefault()
+  ]);
+
+  const shiftMap = new Map(shifts.map(s => [s._id.toString(), s]));
+  const departmentShiftMap = new Map(departments.map(d => [d._id.toString(), d.shift.toString()]));
+
+  const result = new Map();
+  employees.forEach(emp => {
+    const departmentId = (emp.department?._id || emp.department)?.toString();
+    const shift = shiftMap.get(emp.shift?.toString())
+      || shiftMap.get(departmentShiftMap.get(departmentId))
+      || fallback;
+    result.set(emp._id.toString(), shift);
+  });
+  return result;
+};
+
+shiftSchema.statics.getForEmployee = async function (employeeId) {
+  const Employee = mongoose.model('Employee');
+  const employee = await Employee.findById(employeeId?._id || employeeId)
+    .select('shift department timezone')
+    .lean();
+
+  if (!employee) {
+    return this.getDefault();
+  }
+
+  const shifts = await this.getForEmployees([employee]);
+  return shifts.get(employee._id.toString());
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -99,6 +99,23 @@ const taskSchema = new mongoose.Schema({
     },
     completedAt: Date
   }],
+  // Assignees who were on leave when the task was assigned, and the delegate
+  // it was routed to (null when the leave names no delegate)
+  delegations: [{
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    delegate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    leave: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Leave'
+    },
+    until: Date
+  }],
   parentTask: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Task'
@@ -110,6 +127,11 @@ const taskSchema = new mongoose.Schema({
 // Index for faster queries
 taskSchema.index({ status: 1, dueDate: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
+// Global search (GET /api/search); title matches rank highest
+taskSchema.index(
+  { title: 'text', description: 'text', 'comments.content': 'text' },
+  { weights: { title: 10, description: 3, 'comments.content': 2 }, name: 'task_search' }
+);
 
 module.exports = mongoose.model('Task', taskSchema);
 
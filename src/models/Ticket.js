@@ -87,5 +87,10 @@ ticketSchema.pre('save', async function(next) {
 // Index for faster queries
 ticketSchema.index({ status: 1, createdAt: -1 });
 ticketSchema.index({ employee: 1, createdAt: -1 });
+// Global search (GET /api/search); subject matches rank highest
+ticketSchema.index(
+  { subject: 'text', description: 'text' },
+  { weights: { subject: 10, description: 3 }, name: 'ticket_search' }
+);
 
 module.exports = mongoose.model('Ticket', ticketSchema);
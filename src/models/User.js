@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { NOTIFICATION_CATEGORIES } = require('./Notification');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -76,6 +77,20 @@ const userSchema = new mongoose.Schema({
   webauthnLoginUserId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Pending attendance punch verification (single-use, bound to one action)
+  webauthnPunchChallenge: String,
+  webauthnPunchAction: String,
+  webauthnPunchChallengeExpires: Date,
+  notificationPreferences: {
+    // Notification categories not stored or pushed for this user
+    muted: {
+      type: [{
+        type: String,
+        enum: NOTIFICATION_CATEGORIES
+      }],
+      default: []
+    }
   }
 }, {
   timestamps: true
@@ -4,15 +4,26 @@ const Department = require('./Department');
 const Attendance = require('./Attendance');
 const Leave = require('./Leave');
 const LeavePolicy = require('./LeavePolicy');
+const LeaveLedger = require('./LeaveLedger');
+const LeaveApprovalChain = require('./LeaveApprovalChain');
+const CompOffCredit = require('./CompOffCredit');
 const Notice = require('./Notice');
 const Meeting = require('./Meeting');
 const Task = require('./Task');
 const Ticket = require('./Ticket');
 const Chat = require('./Chat');
+const Message = require('./Message');
 const Recruitment = require('./Recruitment');
 const MessageRequest = require('./MessageRequest');
 const Report = require('./Report');
 const Settings = require('./Settings');
+const Shift = require('./Shift');
+const Holiday = require('./Holiday');
+const Regularization = require('./Regularization');
+const PayrollRun = require('./PayrollRun');
+const Payslip = require('./Payslip');
+const Notification = require('./Notification');
+const Presence = require('./Presence');
 
 module.exports = {
   User,
@@ -21,14 +32,25 @@ module.exports = {
   Attendance,
   Leave,
   LeavePolicy,
+  LeaveLedger,
+  LeaveApprovalChain,
+  CompOffCredit,
   Notice,
   Meeting,
   Task,
   Ticket,
   Chat,
+  Message,
   Recruitment,
   MessageRequest,
   Report,
-  Settings
+  Settings,
+  Shift,
+  Holiday,
+  Regularization,
+  PayrollRun,
+  Payslip,
+  Notification,
+  Presence
 };
 
@@ -1,26 +1,125 @@
 const express = require('express');
 const Attendance = require('../models/Attendance');
 const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
+const Settings = require('../models/Settings');
 const { protect, isHROrAbove } = require('../middleware/auth');
+const {
+  fromZonedParts,
+  startOfMonth,
+  endOfMonth,
+  isValidTimezone,
+  getOrgTimezone,
+  getEmployeeTimezone
+} = require('../utils/timezone');
+const { normalizeIp, parseCoordinates, checkPunchLocation } = require('../utils/punchLocation');
+const {
+  PUNCH_ACTIONS,
+  isPunchVerificationRequired,
+  startPunchVerification,
+  verifyPunchAssertion
+} = require('../utils/webauthn');
+const { findPartialLeaves, getExpectedShiftTimes, applyPartialLeaveStatus } = require('../utils/partialLeave');
 
 const router = express.Router();
 
-// ─── Night-Shift Helper ───────────────────────────────────────────────
-// The working day resets at 3:00 PM.
-//   • If current time >= 15:00  →  shift date = today (new shift started)
-//   • If current time <  15:00  →  shift date = yesterday (still in last night's shift)
-// The returned Date is always at midnight (00:00:00) of the shift date,
-// which is the value stored in attendance.date for the unique index.
-function getShiftDate(now) {
-  const d = new Date(now);
-  if (d.getHours() < 15) {
-    // Before 3 PM → belongs to yesterday's shift
-    d.setDate(d.getDate() - 1);
-  }
-  d.setHours(0, 0, 0, 0);
-  return d;
+// ─── Shift Helpers ────────────────────────────────────────────────────
+// Every employee works a Shift (own → department → default night shift).
+// The shift decides when the working day resets, in the employee's timezone;
+// midnight of that day is the value stored in attendance.date for the unique index.
+async function getEmployeeShiftDate(employeeId, now) {
+  const [shift, timezone] = await Promise.all([
+    Shift.getForEmployee(employeeId),
+    getEmployeeTimezone(employeeId)
+  ]);
+  return { shift, timezone, shiftDate: shift.getShiftDate(now, timezone) };
+}
+
+// Match the current shift date of every active shift, in the organization
+// timezone and every per-employee override. Records created before shifts
+// existed have no shift and are matched against the default shift.
+async function getCurrentShiftMatch(now) {
+  const [shifts, defaultShift, orgTimezone, employeeTimezones] = await Promise.all([
+    Shift.find({ isActive: true }),
+    Shift.getDefault(),
+    getOrgTimezone(),
+    Employee.distinct('timezone', { timezone: { $nin: [null, ''] } })
+  ]);
+  const timezones = [...new Set([orgTimezone, ...employeeTimezones.filter(isValidTimezone)])];
+
+  return {
+    $or: timezones.flatMap(timezone => [
+      ...shifts.map(s => ({ shift: s._id, date: s.getShiftDate(now, timezone) })),
+      { shift: null, date: defaultShift.getShiftDate(now, timezone) }
+    ])
+  };
 }
 
+// ─── Punch Location ───────────────────────────────────────────────────
+// Check-in and check-out accept { latitude, longitude, accuracy } (top level
+// or under `location`). The punch is checked against the office geofences and
+// allowed networks in Settings; employees allowed to work remotely are exempt.
+async function getPunchDetails(req) {
+  const [settings, employee] = await Promise.all([
+    Settings.getSettings(),
+    Employee.findById(req.user.employee).select('remoteWorkAllowed').lean()
+  ]);
+  const body = req.body?.location || req.body || {};
+  const coordinates = parseCoordinates(body);
+  const ipAddress = normalizeIp(req.ip);
+  const check = checkPunchLocation({ coordinates, ip: ipAddress }, settings, employee);
+
+  const accuracy = Number(body.accuracy);
+  return {
+    check,
+    punch: {
+      location: coordinates
+        ? { ...coordinates, accuracy: Number.isFinite(accuracy) ? accuracy : undefined }
+        : undefined,
+      ipAddress,
+      office: check.office,
+      flagged: check.flagged || undefined,
+      flagReason: check.flagged ? check.reason : undefined
+    }
+  };
+}
+
+// Flagged punches also put the record in the HR review queue
+function flagForReview(attendance, label, check) {
+  if (!check.flagged) return;
+  const reason = `${label} flagged: ${check.reason}`;
+  attendance.needsReview = true;
+  attendance.reviewReason = attendance.reviewReason ? `${attendance.reviewReason}; ${reason}` : reason;
+}
+
+// ─── Punch Verification ───────────────────────────────────────────────
+// In departments that require it, the punch body carries `credential`: the
+// WebAuthn assertion for a challenge from POST /attendance/verification/options.
+// The verified credential ID is left on req.punchCredentialId.
+const verifyPunch = (action) => async (req, res, next) => {
+  try {
+    if (!(await isPunchVerificationRequired(req.user.employee))) return next();
+
+    const result = await verifyPunchAssertion(req, action, req.body?.credential);
+    if (!result.verified) {
+      return res.status(403).json({
+        success: false,
+        message: result.message,
+        data: { verificationRequired: true, action }
+      });
+    }
+
+    req.punchCredentialId = result.credentialId;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying fingerprint',
+      error: error.message
+    });
+  }
+};
+
 // @route   GET /api/attendance
 // @desc    Get attendance records
 // @access  Private
@@ -88,16 +187,14 @@ router.get('/my', protect, async (req, res) => {
   try {
     const { month, year } = req.query;
 
-    let startDate, endDate;
-    if (month && year) {
-      startDate = new Date(year, month - 1, 1);
-      endDate = new Date(year, month, 0);
-    } else {
-      // Default to current month
-      const now = new Date();
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    }
+    const timezone = await getEmployeeTimezone(req.user.employee);
+
+    // Requested month, or the current month by default
+    const monthDate = month && year
+      ? fromZonedParts({ year: Number(year), month: Number(month), day: 1 }, timezone)
+      : new Date();
+    const startDate = startOfMonth(monthDate, timezone);
+    const endDate = endOfMonth(monthDate, timezone);
 
     const attendance = await Attendance.find({
       employee: req.user.employee,
@@ -132,25 +229,58 @@ router.get('/my', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/attendance/verification/options
+// @desc    Get a fingerprint challenge for one punch (check-in, check-out, break-start, break-end)
+// @access  Private
+router.post('/verification/options', protect, async (req, res) => {
+  try {
+    const { action } = req.body;
+
+    if (!PUNCH_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid action. Must be one of: ${PUNCH_ACTIONS.join(', ')}`
+      });
+    }
+
+    const { options, error } = await startPunchVerification(req, action);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error starting fingerprint verification',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/attendance/check-in
-// @desc    Check in for the night shift
+// @desc    Check in for the employee's shift
 // @access  Private
-router.post('/check-in', protect, async (req, res) => {
+router.post('/check-in', protect, verifyPunch('check-in'), async (req, res) => {
   try {
     const now = new Date();
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
+    const { shift, timezone, shiftDate } = await getEmployeeShiftDate(req.user.employee, now);
 
-    // ── Block clock-in during dead zone: 4:00 AM – 2:59 PM ──
-    if (currentHour >= 4 && currentHour < 15) {
+    // ── Block clock-in during the shift's dead zone ──
+    if (shift.isInDeadZone(now, timezone)) {
+      const deadZone = shift.getDeadZone();
       return res.status(400).json({
         success: false,
-        message: 'Cannot clock in between 4:00 AM and 3:00 PM. Shift starts at 3:00 PM.'
+        message: `Cannot clock in between ${deadZone.start} and ${deadZone.end}. Shift starts at ${shift.startTime}.`
       });
     }
 
-    const shiftDate = getShiftDate(now);
-
     // Check if already checked in for this shift
     let attendance = await Attendance.findOne({
       employee: req.user.employee,
@@ -164,42 +294,45 @@ router.post('/check-in', protect, async (req, res) => {
       });
     }
 
+    // ── Office geofence / allowed network ──
+    const { check, punch } = await getPunchDetails(req);
+    if (!check.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: `Check-in not allowed from this location. ${check.reason}.`
+      });
+    }
+
     const checkInTime = now;
 
     // ── Determine status based on check-in time ──
-    // Early:   3:00 PM – 3:59 PM  (15:00 – 15:59)
-    // Present: 4:00 PM – 4:05 PM  (16:00 – 16:05)
-    // Late:    after 4:05 PM
-    let status;
-    if (currentHour >= 15 && currentHour < 16) {
-      // 3:00 PM to 3:59 PM → Early
-      status = 'early';
-    } else if (currentHour === 16 && currentMinute <= 5) {
-      // 4:00 PM to 4:05 PM → Present
-      status = 'present';
-    } else {
-      // After 4:05 PM (or after midnight before 4 AM) → Late
-      status = 'late';
-    }
+    // Early:   window opens → shift start
+    // Present: shift start → start + grace minutes
+    // Late:    afterwards
+    // A first-half (or hourly) leave at the start of the shift moves the start.
+    const partialLeaves = await findPartialLeaves(req.user.employee, shiftDate, timezone);
+    const expected = getExpectedShiftTimes(shift, partialLeaves);
+    const status = applyPartialLeaveStatus(
+      shift.getCheckInStatus(checkInTime, timezone, expected),
+      partialLeaves
+    );
 
-    if (attendance) {
-      attendance.checkIn = {
-        time: checkInTime,
-        ipAddress: req.ip
-      };
-      attendance.status = status;
-      await attendance.save();
-    } else {
-      attendance = await Attendance.create({
+    if (!attendance) {
+      attendance = new Attendance({
         employee: req.user.employee,
-        date: shiftDate,
-        checkIn: {
-          time: checkInTime,
-          ipAddress: req.ip
-        },
-        status
+        date: shiftDate
       });
     }
+    attendance.checkIn = {
+      time: checkInTime,
+      ...punch,
+      webauthnCredentialId: req.punchCredentialId
+    };
+    attendance.shift = shift._id;
+    attendance.status = status;
+    attendance.leaves = partialLeaves.map(leave => leave._id);
+    flagForReview(attendance, 'Check-in', check);
+    await attendance.save();
 
     res.json({
       success: true,
@@ -216,12 +349,12 @@ router.post('/check-in', protect, async (req, res) => {
 });
 
 // @route   POST /api/attendance/check-out
-// @desc    Check out for the night shift
+// @desc    Check out for the employee's shift
 // @access  Private
-router.post('/check-out', protect, async (req, res) => {
+router.post('/check-out', protect, verifyPunch('check-out'), async (req, res) => {
   try {
     const now = new Date();
-    const shiftDate = getShiftDate(now);
+    const { shift, timezone, shiftDate } = await getEmployeeShiftDate(req.user.employee, now);
 
     const attendance = await Attendance.findOne({
       employee: req.user.employee,
@@ -242,44 +375,40 @@ router.post('/check-out', protect, async (req, res) => {
       });
     }
 
+    // ── Office geofence / allowed network ──
+    const { check, punch } = await getPunchDetails(req);
+    if (!check.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: `Check-out not allowed from this location. ${check.reason}.`
+      });
+    }
+
     const checkOutTime = now;
     attendance.checkOut = {
       time: checkOutTime,
-      ipAddress: req.ip
+      ...punch,
+      webauthnCredentialId: req.punchCredentialId
     };
+    flagForReview(attendance, 'Check-out', check);
 
     // ── Determine checkout status based on time ──
-    const hour = checkOutTime.getHours();
-    const minute = checkOutTime.getMinutes();
-
-    // Build reference times for comparison
-    const earlyClockoutLimit = new Date(checkOutTime);
-    earlyClockoutLimit.setHours(3, 55, 0, 0); // 3:55 AM
-
-    const normalStart = new Date(checkOutTime);
-    normalStart.setHours(4, 0, 0, 0); // 4:00 AM
-
-    const normalEnd = new Date(checkOutTime);
-    normalEnd.setHours(4, 5, 0, 0); // 4:05 AM
-
-    // Only apply checkout-time rules during morning hours (midnight–noon)
-    // so evening checkouts (e.g. clocking out early the same evening) fallthrough
-    if (hour < 12) {
-      if (checkOutTime < earlyClockoutLimit) {
-        // Before 3:55 AM → Early Clock Out / Incomplete Day
-        attendance.status = 'early-clockout';
-      } else if (checkOutTime >= normalStart && checkOutTime <= normalEnd) {
-        // 4:00 AM – 4:05 AM → Normal clocked out (no overtime)
-        attendance.status = 'clocked-out';
-      } else if (checkOutTime > normalEnd) {
-        // After 4:05 AM → Overtime
-        attendance.status = 'overtime';
-      } else {
-        // 3:55 AM – 3:59 AM → Normal (grace window)
-        attendance.status = 'clocked-out';
-      }
-    }
-    // If checking out in the evening (before midnight) keep the existing status
+    // Early clock-out: before shift end minus grace minutes
+    // Clocked out:     up to the overtime threshold after shift end
+    // Overtime:        afterwards
+    // A second-half (or hourly) leave at the end of the shift moves the end.
+    const checkInShift = (attendance.shift && await Shift.findById(attendance.shift)) || shift;
+    const partialLeaves = await findPartialLeaves(req.user.employee, attendance.date, timezone);
+    attendance.status = applyPartialLeaveStatus(
+      checkInShift.getCheckOutStatus(
+        checkOutTime,
+        attendance.date,
+        timezone,
+        getExpectedShiftTimes(checkInShift, partialLeaves)
+      ),
+      partialLeaves
+    );
+    attendance.leaves = partialLeaves.map(leave => leave._id);
 
     await attendance.save();
 
@@ -303,7 +432,7 @@ router.post('/check-out', protect, async (req, res) => {
 router.get('/today', protect, async (req, res) => {
   try {
     const now = new Date();
-    const shiftDate = getShiftDate(now);
+    const { shiftDate } = await getEmployeeShiftDate(req.user.employee, now);
 
     const attendance = await Attendance.findOne({
       employee: req.user.employee,
@@ -311,6 +440,7 @@ router.get('/today', protect, async (req, res) => {
     })
       .select('-__v')
       .lean();
+    const requiresPunchVerification = await isPunchVerificationRequired(req.user.employee);
 
     // Check for active break
     const activeBreak = attendance?.breaks?.find(b => !b.endTime) || null;
@@ -346,6 +476,7 @@ router.get('/today', protect, async (req, res) => {
         isCheckedOut: !!attendance?.checkOut?.time,
         isOnBreak: !!activeBreak,
         activeBreak,
+        requiresPunchVerification,
         currentWorkingHours: parseFloat(currentWorkingHours.toFixed(2))
       }
     });
@@ -364,17 +495,18 @@ router.get('/today', protect, async (req, res) => {
 router.get('/stats', protect, isHROrAbove, async (req, res) => {
   try {
     const now = new Date();
-    const shiftDate = getShiftDate(now);
+    const timezone = await getOrgTimezone();
+    const shiftDate = (await Shift.getDefault()).getShiftDate(now, timezone);
 
     const todayStats = await Attendance.aggregate([
-      { $match: { date: shiftDate } },
+      { $match: await getCurrentShiftMatch(now) },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
     // Monthly stats
-    const startOfMonth = new Date(shiftDate.getFullYear(), shiftDate.getMonth(), 1);
+    const monthStart = startOfMonth(shiftDate, timezone);
     const monthlyStats = await Attendance.aggregate([
-      { $match: { date: { $gte: startOfMonth, $lte: shiftDate } } },
+      { $match: { date: { $gte: monthStart, $lte: shiftDate } } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
@@ -408,7 +540,6 @@ router.get('/today-presence', protect, (req, res, next) => {
 }, async (req, res) => {
   try {
     const now = new Date();
-    const shiftDate = getShiftDate(now);
 
     // Get employee IDs that are linked to HR, Boss, Admin, or Manager users (exclude from attendance)
     const User = require('../models/User');
@@ -428,8 +559,8 @@ router.get('/today-presence', protect, (req, res, next) => {
       .populate('department', 'name')
       .lean();
 
-    // Get current shift's attendance records
-    const todayAttendance = await Attendance.find({ date: shiftDate })
+    // Get current shift's attendance records (each shift has its own current date)
+    const todayAttendance = await Attendance.find(await getCurrentShiftMatch(now))
       .populate('employee', 'firstName lastName employeeId department designation')
       .select('-__v')
       .lean();
@@ -467,6 +598,20 @@ router.get('/today-presence', protect, (req, res, next) => {
       }, 0);
     };
 
+    // Punches recorded from outside the office geofences / allowed networks
+    const getPunchFlags = (attendance) => {
+      const flags = ['checkIn', 'checkOut']
+        .filter(punch => attendance?.[punch]?.flagged)
+        .map(punch => ({
+          punch,
+          time: attendance[punch].time,
+          reason: attendance[punch].flagReason,
+          location: attendance[punch].location,
+          ipAddress: attendance[punch].ipAddress
+        }));
+      return { isFlagged: flags.length > 0, punchFlags: flags };
+    };
+
     // Separate employees into active (working), on break, and inactive
     const activeList = [];
     const onBreakList = [];
@@ -485,14 +630,16 @@ router.get('/today-presence', protect, (req, res, next) => {
             isOnBreak: true,
             breakReason: activeBreak.reason || 'break',
             breakStartTime: activeBreak.startTime,
-            totalBreakTime
+            totalBreakTime,
+            ...getPunchFlags(attendance)
           });
         } else {
           activeList.push({
             ...emp,
             checkInTime: attendance?.checkIn?.time || null,
             isOnBreak: false,
-            totalBreakTime
+            totalBreakTime,
+            ...getPunchFlags(attendance)
           });
         }
       });
@@ -506,10 +653,13 @@ router.get('/today-presence', protect, (req, res, next) => {
           ...emp,
           isCheckedIn: !!attendance?.checkIn?.time,
           isCheckedOut: !!attendance?.checkOut?.time,
-          totalBreakTime
+          totalBreakTime,
+          ...getPunchFlags(attendance)
         };
       });
 
+    const flaggedList = [...activeList, ...onBreakList, ...inactiveList].filter(emp => emp.isFlagged);
+
     res.json({
       success: true,
       data: {
@@ -517,9 +667,11 @@ router.get('/today-presence', protect, (req, res, next) => {
         active: activeList,
         onBreak: onBreakList,
         inactive: inactiveList,
+        flagged: flaggedList,
         totalActive: activeList.length,
         totalOnBreak: onBreakList.length,
-        totalInactive: inactiveList.length
+        totalInactive: inactiveList.length,
+        totalFlagged: flaggedList.length
       }
     });
   } catch (error) {
@@ -531,14 +683,52 @@ router.get('/today-presence', protect, (req, res, next) => {
   }
 });
 
+// @route   GET /api/attendance/needs-review
+// @desc    Get attendance records flagged for HR review (e.g. auto-closed checkouts)
+// @access  Private (HR or above)
+router.get('/needs-review', protect, isHROrAbove, async (req, res) => {
+  try {
+    const { page = 1, limit = 30 } = req.query;
+    const query = { needsReview: true };
+
+    const attendance = await Attendance.find(query)
+      .populate('employee', 'firstName lastName employeeId department')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .sort({ date: -1 })
+      .lean();
+
+    const total = await Attendance.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        attendance,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attendance for review',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/attendance/break/start
 // @desc    Start a break
 // @access  Private
-router.post('/break/start', protect, async (req, res) => {
+router.post('/break/start', protect, verifyPunch('break-start'), async (req, res) => {
   try {
     const { reason } = req.body;
     const now = new Date();
-    const shiftDate = getShiftDate(now);
+    const { shiftDate } = await getEmployeeShiftDate(req.user.employee, now);
 
     const attendance = await Attendance.findOne({
       employee: req.user.employee,
@@ -572,7 +762,8 @@ router.post('/break/start', protect, async (req, res) => {
     attendance.breaks = attendance.breaks || [];
     attendance.breaks.push({
       startTime: breakStartTime,
-      reason: reason || 'break'
+      reason: reason || 'break',
+      startCredentialId: req.punchCredentialId
     });
 
     await attendance.save();
@@ -597,10 +788,10 @@ router.post('/break/start', protect, async (req, res) => {
 // @route   POST /api/attendance/break/end
 // @desc    End a break
 // @access  Private
-router.post('/break/end', protect, async (req, res) => {
+router.post('/break/end', protect, verifyPunch('break-end'), async (req, res) => {
   try {
     const now = new Date();
-    const shiftDate = getShiftDate(now);
+    const { shiftDate } = await getEmployeeShiftDate(req.user.employee, now);
 
     const attendance = await Attendance.findOne({
       employee: req.user.employee,
@@ -626,6 +817,7 @@ router.post('/break/end', protect, async (req, res) => {
     const breakEndTime = new Date();
     const activeBreak = attendance.breaks[activeBreakIndex];
     activeBreak.endTime = breakEndTime;
+    activeBreak.endCredentialId = req.punchCredentialId;
 
     // Calculate break duration in minutes
     const durationMs = breakEndTime.getTime() - activeBreak.startTime.getTime();
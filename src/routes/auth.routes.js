@@ -5,6 +5,8 @@ const User = require('../models/User');
 const Employee = require('../models/Employee');
 const Department = require('../models/Department');
 const { protect, isHROrAbove } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
+const { syncUserChannels } = require('../utils/channels');
 const { loginValidator } = require('../middleware/validators');
 const { body, validationResult } = require('express-validator');
 
@@ -348,12 +350,20 @@ router.put('/approve/:userId', protect, isHROrAbove, async (req, res) => {
 
     // Update employee status to active
     await Employee.findByIdAndUpdate(user.employee, { status: 'active' });
+    await syncUserChannels(req.app.get('io'), user._id);
 
     // Emit socket event for real-time notification
     const io = req.app.get('io');
     if (io) {
       io.emit('registrationApproved', { userId: user._id, email: user.email });
     }
+    await notify(io, [user._id], {
+      category: 'account',
+      type: 'registrationApproved',
+      title: 'Your registration was approved',
+      message: 'Welcome aboard! Your account is now active.',
+      data: { userId: user._id, email: user.email }
+    });
 
     res.json({
       success: true,
@@ -534,64 +544,11 @@ router.get('/check-status/:email', async (req, res) => {
 const { generateRegistrationOptions, verifyRegistrationResponse } = require('@simplewebauthn/server');
 const { generateAuthenticationOptions, verifyAuthenticationResponse } = require('@simplewebauthn/server');
 const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const { getRPID, getOrigin } = require('../utils/webauthn');
 
 // RP ID - should match your domain (localhost for dev, your domain for production)
 const rpName = process.env.WEBAUTHN_RP_NAME || 'Office Management System';
 
-// Helper function to get RP ID from request origin
-const getRPID = (req) => {
-  // Check if RP ID is set in environment
-  if (process.env.WEBAUTHN_RP_ID) {
-    return process.env.WEBAUTHN_RP_ID;
-  }
-
-  // Get origin from request headers
-  const origin = req.headers.origin || req.headers.referer;
-
-  if (origin) {
-    try {
-      const url = new URL(origin);
-      const hostname = url.hostname;
-
-      // For localhost, use localhost
-      if (hostname === 'localhost' || hostname === '127.0.0.1') {
-        return 'localhost';
-      }
-
-      // For production, extract domain (remove port and www)
-      // e.g., https://employee-website-dkq3.onrender.com -> employee-website-dkq3.onrender.com
-      return hostname.replace(/^www\./, '');
-    } catch (e) {
-      console.error('Error parsing origin:', e);
-    }
-  }
-
-  // Fallback to localhost for development
-  return 'localhost';
-};
-
-// Helper function to get origin from request
-const getOrigin = (req) => {
-  if (process.env.WEBAUTHN_ORIGIN) {
-    return process.env.WEBAUTHN_ORIGIN;
-  }
-
-  const origin = req.headers.origin || req.headers.referer;
-  if (origin) {
-    try {
-      const url = new URL(origin);
-      return url.origin;
-    } catch (e) {
-      console.error('Error parsing origin:', e);
-    }
-  }
-
-  // Fallback
-  return process.env.NODE_ENV === 'production'
-    ? 'https://localhost'
-    : 'http://localhost:5173';
-};
-
 // @route   POST /api/auth/webauthn/register/start
 // @desc    Start WebAuthn registration process
 // @access  Private
@@ -1,13 +1,378 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Chat = require('../models/Chat');
+const Message = require('../models/Message');
 const User = require('../models/User');
 const Employee = require('../models/Employee');
-const { protect } = require('../middleware/auth');
+const Department = require('../models/Department');
+const { protect, authorize } = require('../middleware/auth');
 const { chatUpload } = require('../config/upload');
+const { addOutOfOfficeReplies } = require('../utils/delegation');
+const { notify } = require('../utils/notifications');
+const {
+  isParticipant,
+  getGroupAdmins,
+  isGroupAdmin,
+  isGroupOwner,
+  getMutedUserIds,
+  getDisplayNames,
+  postSystemMessage,
+  transferOwnership
+} = require('../utils/chatGroups');
+const { CHANNEL_POSTER_ROLES, canPostInChat, syncChannel } = require('../utils/channels');
 const path = require('path');
 
 const router = express.Router();
 
+// Message text shown in a notification
+const notificationPreview = (content) => (content && content.length > 100 ? `${content.slice(0, 100)}…` : content);
+
+// Fields of the parent message shown with a reply
+const REPLY_TO_FIELDS = 'sender content messageType isDeleted createdAt';
+
+// Longest accepted reaction (an emoji can be several code points)
+const MAX_REACTION_LENGTH = 32;
+
+// Messages per page: default and upper bound of ?limit=
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+const getMessagePageSize = (limit) => Math.min(
+  Math.max(parseInt(limit) || MESSAGE_PAGE_SIZE, 1),
+  MAX_MESSAGE_PAGE_SIZE
+);
+
+// Whether `departments` is a list of IDs of existing departments
+const isDepartmentList = async (departments) => Array.isArray(departments)
+  && departments.every(id => mongoose.isValidObjectId(id))
+  && await Department.countDocuments({ _id: { $in: departments } }) === new Set(departments.map(String)).size;
+
+// Sends a socket event to every participant of the chat
+const emitToParticipants = (req, chat, event, payload) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  chat.participants.forEach(participant => {
+    io.to((participant._id || participant).toString()).emit(event, { chatId: chat._id.toString(), ...payload });
+  });
+};
+
+// Messages before a position in a chat's order (createdAt, then _id);
+// `inclusive` includes the message at the position
+const beforePosition = ({ createdAt, _id }, inclusive = false) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { [inclusive ? '$lte' : '$lt']: _id } }
+  ]
+});
+
+// Marks the user's unread messages of a chat as read, up to and including
+// `upTo` (default: the latest message), and tells the participants
+const markChatRead = async (req, chat, upTo = null) => {
+  const latest = upTo || await Message.findOne({ chat: chat._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('createdAt')
+    .lean();
+  if (!latest) return 0;
+
+  const readAt = new Date();
+  const result = await Message.updateMany(
+    {
+      chat: chat._id,
+      sender: { $ne: req.user._id },
+      'readBy.user': { $ne: req.user._id },
+      ...beforePosition(latest, true)
+    },
+    { $push: { readBy: { user: req.user._id, readAt } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    emitToParticipants(req, chat, 'messagesRead', {
+      userId: req.user._id.toString(),
+      upTo: latest._id.toString(),
+      readAt
+    });
+  }
+  return result.modifiedCount;
+};
+
+// Records that the user has received the messages of these chats, and tells
+// the participants of each chat that had new ones
+const markChatsDelivered = async (req, chats) => {
+  const query = {
+    chat: { $in: chats.map(chat => chat._id) },
+    sender: { $ne: req.user._id },
+    'readBy.user': { $ne: req.user._id },
+    'deliveredTo.user': { $ne: req.user._id }
+  };
+  const chatIds = (await Message.distinct('chat', query)).map(chatId => chatId.toString());
+  if (chatIds.length === 0) return;
+
+  const deliveredAt = new Date();
+  await Message.updateMany(query, { $push: { deliveredTo: { user: req.user._id, deliveredAt } } });
+
+  chats
+    .filter(chat => chatIds.includes(chat._id.toString()))
+    .forEach(chat => {
+      emitToParticipants(req, chat, 'messagesDelivered', {
+        userId: req.user._id.toString(),
+        deliveredAt
+      });
+    });
+};
+
+// Adds `receipt` to the user's own messages: 'read' once every other
+// participant has read it, 'delivered' once every one has received it,
+// 'sent' before that. Who exactly is in /message/:messageId/receipts.
+const addReceipts = (messages, chat, userId) => {
+  const participantIds = chat.participants.map(p => (p._id || p).toString());
+
+  messages.forEach(message => {
+    // Populated senders are null once their account is deleted
+    const senderId = (message.sender?._id || message.sender)?.toString();
+    if (senderId !== userId.toString()) return;
+
+    const recipients = participantIds.filter(id => id !== senderId);
+    const readers = new Set((message.readBy || []).map(r => r.user.toString()));
+    const receivers = new Set([...readers, ...(message.deliveredTo || []).map(d => d.user.toString())]);
+    const readCount = recipients.filter(id => readers.has(id)).length;
+    const deliveredCount = recipients.filter(id => receivers.has(id)).length;
+
+    let status = 'sent';
+    if (recipients.length > 0 && readCount === recipients.length) status = 'read';
+    else if (recipients.length > 0 && deliveredCount === recipients.length) status = 'delivered';
+
+    message.receipt = { status, readCount, deliveredCount, recipients: recipients.length };
+  });
+  return messages;
+};
+
+// Loads a message of a chat the user participates in, or sends the error response
+const findChatMessage = async (req, res) => {
+  const chat = await Chat.findById(req.params.id);
+
+  if (!chat) {
+    res.status(404).json({
+      success: false,
+      message: 'Chat not found'
+    });
+    return null;
+  }
+
+  if (!isParticipant(chat, req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this chat'
+    });
+    return null;
+  }
+
+  const message = mongoose.isValidObjectId(req.params.messageId)
+    ? await Message.findOne({ _id: req.params.messageId, chat: chat._id })
+    : null;
+
+  if (!message) {
+    res.status(404).json({
+      success: false,
+      message: 'Message not found'
+    });
+    return null;
+  }
+
+  return { chat, message };
+};
+
+// Loads an active group chat the user belongs to (as an admin when
+// `adminOnly`), or sends the error response
+const findGroupChat = async (req, res, { adminOnly = false } = {}) => {
+  const chat = await Chat.findById(req.params.id);
+
+  if (!chat || chat.chatType !== 'group' || !chat.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Group chat not found'
+    });
+    return null;
+  }
+
+  if (!isParticipant(chat, req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not a member of this group'
+    });
+    return null;
+  }
+
+  if (adminOnly && !isGroupAdmin(chat, req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only group admins can do this'
+    });
+    return null;
+  }
+
+  return chat;
+};
+
+// Why `actorId` can't remove `userId` from the group, or null
+const getRemovalError = (chat, actorId, userId) => {
+  if (!isParticipant(chat, userId)) {
+    return { status: 404, message: 'User is not a member of this group' };
+  }
+  if (userId.toString() === actorId.toString()) {
+    return { status: 400, message: 'Use /leave to leave the group' };
+  }
+  if (isGroupOwner(chat, userId)) {
+    return { status: 403, message: 'The group owner cannot be removed' };
+  }
+  if (isGroupAdmin(chat, userId) && !isGroupOwner(chat, actorId)) {
+    return { status: 403, message: 'Only the group owner can remove admins' };
+  }
+  return null;
+};
+
+// Tells the participants (and the users concerned) that the group changed
+const emitGroupUpdated = (req, chat, action, userIds) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  const recipients = new Set([...chat.participants.map(p => p.toString()), ...userIds.map(String)]);
+  recipients.forEach(recipient => {
+    io.to(recipient).emit('groupUpdated', {
+      chatId: chat._id.toString(),
+      action,
+      userIds: userIds.map(String),
+      by: req.user._id.toString(),
+      groupName: chat.groupName,
+      groupAdmin: chat.groupAdmin,
+      groupAdmins: getGroupAdmins(chat)
+    });
+  });
+};
+
+// Adds the active users among `userIds` who aren't members yet and announces
+// it; returns the added user IDs
+const addGroupMembers = async (req, chat, userIds) => {
+  const candidates = [...new Set(userIds.map(String))]
+    .filter(userId => mongoose.isValidObjectId(userId) && !isParticipant(chat, userId));
+  const users = await User.find({ _id: { $in: candidates }, isActive: true }).select('_id').lean();
+  const added = users.map(user => user._id.toString());
+  if (added.length === 0) return added;
+
+  chat.participants.push(...added);
+  added.forEach(userId => chat.memberHistory.push({ user: userId, action: 'added', by: req.user._id }));
+
+  const io = req.app.get('io');
+  const names = await getDisplayNames([req.user._id, ...added]);
+  const actorName = names.get(req.user._id.toString());
+  await postSystemMessage(io, chat, req.user._id, `${actorName} added ${added.map(userId => names.get(userId)).join(', ')}`);
+  emitGroupUpdated(req, chat, 'added', added);
+
+  await notify(io, added, {
+    category: 'chat',
+    type: 'addedToGroup',
+    title: `You were added to ${chat.groupName}`,
+    message: `${actorName} added you to the group`,
+    data: { chatId: chat._id }
+  });
+  return added;
+};
+
+// Removes a member (`action` 'removed' by an admin, or 'left'), passing on
+// ownership when the owner goes, and announces it. Returns the new owner's ID
+// if ownership changed.
+const removeGroupMember = async (req, chat, userId, action) => {
+  const ownerLeaving = isGroupOwner(chat, userId);
+
+  chat.participants = chat.participants.filter(p => p.toString() !== userId);
+  chat.groupAdmins = chat.groupAdmins.filter(admin => admin.toString() !== userId);
+  chat.mutedBy = chat.mutedBy.filter(mute => mute.user.toString() !== userId);
+  chat.memberHistory.push({ user: userId, action, by: req.user._id });
+
+  let newOwner = null;
+  if (ownerLeaving) {
+    newOwner = await transferOwnership(chat);
+    if (!newOwner) chat.groupAdmin = null;
+  }
+  if (chat.participants.length === 0) chat.isActive = false;
+
+  const names = await getDisplayNames([req.user._id, userId, newOwner].filter(Boolean));
+  let content = action === 'left'
+    ? `${names.get(userId)} left`
+    : `${names.get(req.user._id.toString())} removed ${names.get(userId)}`;
+  if (newOwner) content += `. ${names.get(newOwner)} is now the group owner`;
+
+  await postSystemMessage(req.app.get('io'), chat, req.user._id, content);
+  emitGroupUpdated(req, chat, action, [userId]);
+  return newOwner;
+};
+
+// Page cursors point at the oldest message returned (its createdAt and ID),
+// so pages stay stable while new messages arrive
+const encodeCursor = (message) => Buffer.from(`${message.createdAt.getTime()}_${message._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const createdAt = new Date(Number(time));
+  if (!time || isNaN(createdAt) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Messages of a chat older than the cursor, newest first
+const getMessagePage = async (chatId, { cursor, limit, includeDeleted = false }) => {
+  const query = { chat: chatId, ...(cursor && beforePosition(cursor)) };
+  if (!includeDeleted) query.isDeleted = { $ne: true };
+
+  const messages = await Message.find(query)
+    .populate('sender', 'email')
+    .populate('replyTo', REPLY_TO_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = messages.length > limit;
+  if (hasMore) messages.pop();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null
+  };
+};
+
+// @route   GET /api/chat/presence
+// @desc    Get online status and last seen of users (?userIds=id1,id2)
+// @access  Private
+router.get('/presence', protect, async (req, res) => {
+  try {
+    const userIds = String(req.query.userIds || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => mongoose.isValidObjectId(id));
+
+    if (userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide userIds as a comma-separated list of user IDs'
+      });
+    }
+
+    const presence = req.app.get('presence');
+    const statuses = presence
+      ? await presence.getPresence(userIds)
+      : userIds.map(userId => ({ userId, online: false, lastSeen: null }));
+
+    res.json({
+      success: true,
+      data: { presence: statuses }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching presence',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/chat/users
 // @desc    Get all users available for chat (employees + HR/boss/admin)
 // @access  Private
@@ -60,6 +425,16 @@ router.get('/users', protect, async (req, res) => {
       .filter(Boolean) // Remove nulls
       .sort((a, b) => a.displayName.localeCompare(b.displayName));
 
+    // Online status and last seen
+    const presence = req.app.get('presence');
+    if (presence) {
+      const statuses = await presence.getPresence(chatUsers.map(user => user._id));
+      chatUsers.forEach((user, index) => {
+        user.online = statuses[index].online;
+        user.lastSeen = statuses[index].lastSeen;
+      });
+    }
+
     res.json({
       success: true,
       data: { users: chatUsers }
@@ -74,13 +449,13 @@ router.get('/users', protect, async (req, res) => {
 });
 
 // @route   GET /api/chat
-// @desc    Get all chats for current user
+// @desc    Get all chats for current user (archived channels included, read-only)
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
     const chats = await Chat.find({
       participants: req.user._id,
-      isActive: true
+      $or: [{ isActive: true }, { chatType: 'channel' }]
     })
       .populate({
         path: 'participants',
@@ -94,20 +469,28 @@ router.get('/', protect, async (req, res) => {
       .populate('lastMessage.sender', 'email')
       .sort({ 'lastMessage.createdAt': -1, updatedAt: -1 });
 
-    // Calculate unread count for each chat
-    const chatsWithUnread = chats.map(chat => {
-      const unreadCount = chat.messages.filter(msg => {
-        const senderId = typeof msg.sender === 'object' ? msg.sender._id.toString() : msg.sender.toString();
-        if (senderId === req.user._id.toString()) return false; // Skip own messages
+    await markChatsDelivered(req, chats);
 
-        const isRead = msg.readBy.some(
-          r => r.user.toString() === req.user._id.toString()
-        );
-        return !isRead && !msg.isDeleted;
-      }).length;
+    // Calculate unread count for each chat
+    const unreadCounts = await Message.aggregate([
+      {
+        $match: {
+          chat: { $in: chats.map(chat => chat._id) },
+          sender: { $ne: req.user._id },
+          isDeleted: { $ne: true },
+          'readBy.user': { $ne: req.user._id }
+        }
+      },
+      { $group: { _id: '$chat', count: { $sum: 1 } } }
+    ]);
+    const unreadByChat = new Map(unreadCounts.map(({ _id, count }) => [_id.toString(), count]));
 
+    const chatsWithUnread = chats.map(chat => {
       const chatObj = chat.toObject();
-      chatObj.unreadCount = unreadCount;
+      chatObj.unreadCount = unreadByChat.get(chat._id.toString()) || 0;
+      chatObj.muted = getMutedUserIds(chat).includes(req.user._id.toString());
+      // Archived channels, and announcement channels for members who can't post
+      chatObj.readOnly = !chat.isActive || !canPostInChat(chat, req.user);
       return chatObj;
     });
 
@@ -125,7 +508,7 @@ router.get('/', protect, async (req, res) => {
 });
 
 // @route   GET /api/chat/:id
-// @desc    Get chat by ID with messages
+// @desc    Get chat by ID with its latest messages (older ones via /messages?before=nextCursor)
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
@@ -139,8 +522,8 @@ router.get('/:id', protect, async (req, res) => {
           populate: { path: 'department', select: 'name' }
         }
       })
-      .populate('messages.sender', 'email')
-      .populate('groupAdmin', 'email');
+      .populate('groupAdmin', 'email')
+      .populate('groupAdmins', 'email');
 
     if (!chat) {
       return res.status(404).json({
@@ -150,11 +533,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user is participant
-    const isParticipant = chat.participants.some(
-      p => p._id.toString() === req.user._id.toString()
-    );
-
-    if (!isParticipant) {
+    if (!isParticipant(chat, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this chat'
@@ -162,24 +541,20 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Mark messages as read
-    if (chat.messages && chat.messages.length > 0) {
-      chat.messages.forEach(msg => {
-        const senderId = typeof msg.sender === 'object' ? msg.sender._id.toString() : msg.sender.toString();
-        if (senderId !== req.user._id.toString()) {
-          const alreadyRead = msg.readBy.some(
-            r => r.user.toString() === req.user._id.toString()
-          );
-          if (!alreadyRead) {
-            msg.readBy.push({ user: req.user._id });
-          }
-        }
-      });
-      await chat.save();
-    }
+    await markChatRead(req, chat);
+
+    const { messages, hasMore, nextCursor } = await getMessagePage(chat._id, {
+      limit: getMessagePageSize(req.query.limit),
+      includeDeleted: true
+    });
+
+    // Oldest first, like a conversation is displayed
+    const chatObj = chat.toObject();
+    chatObj.messages = addReceipts(messages, chat, req.user._id).reverse();
 
     res.json({
       success: true,
-      data: { chat }
+      data: { chat: chatObj, hasMore, nextCursor }
     });
   } catch (error) {
     res.status(500).json({
@@ -191,13 +566,14 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // @route   GET /api/chat/:id/messages
-// @desc    Get chat messages with pagination
+// @desc    Get chat messages, newest first (?before=<nextCursor of the previous page>&limit=50, at most 100),
+//          with the delivery / read status of own messages
 // @access  Private
 router.get('/:id/messages', protect, async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
+    const { before, limit } = req.query;
 
-    const chat = await Chat.findById(req.params.id);
+    const chat = await Chat.findById(req.params.id).select('participants');
 
     if (!chat) {
       return res.status(404).json({
@@ -206,18 +582,34 @@ router.get('/:id/messages', protect, async (req, res) => {
       });
     }
 
-    // Get paginated messages (newest first)
-    const startIndex = (page - 1) * limit;
-    const messages = chat.messages
-      .filter(m => !m.isDeleted)
-      .slice(-startIndex - limit, startIndex ? -startIndex : undefined)
-      .reverse();
+    if (!isParticipant(chat, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this chat'
+      });
+    }
+
+    const cursor = before ? decodeCursor(before) : null;
+    if (before && !cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    await markChatsDelivered(req, [chat]);
+
+    const { messages, hasMore, nextCursor } = await getMessagePage(chat._id, {
+      cursor,
+      limit: getMessagePageSize(limit)
+    });
 
     res.json({
       success: true,
       data: {
-        messages,
-        hasMore: chat.messages.length > startIndex + limit
+        messages: addReceipts(messages, chat, req.user._id),
+        hasMore,
+        nextCursor
       }
     });
   } catch (error) {
@@ -229,6 +621,65 @@ router.get('/:id/messages', protect, async (req, res) => {
   }
 });
 
+// @route   PUT /api/chat/:id/read
+// @desc    Mark messages as read up to and including a message (default: all)
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const messageId = req.body.messageId || req.query.messageId;
+
+    const chat = await Chat.findById(req.params.id).select('participants');
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found'
+      });
+    }
+
+    if (!isParticipant(chat, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this chat'
+      });
+    }
+
+    let upTo = null;
+    if (messageId) {
+      upTo = mongoose.isValidObjectId(messageId)
+        ? await Message.findOne({ _id: messageId, chat: chat._id }).select('createdAt').lean()
+        : null;
+
+      if (!upTo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found'
+        });
+      }
+    }
+
+    const markedCount = await markChatRead(req, chat, upTo);
+    const unreadCount = await Message.countDocuments({
+      chat: chat._id,
+      sender: { $ne: req.user._id },
+      isDeleted: { $ne: true },
+      'readBy.user': { $ne: req.user._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Messages marked as read',
+      data: { markedCount, unreadCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error marking messages as read',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/chat/private
 // @desc    Create or get private chat
 // @access  Private
@@ -292,11 +743,15 @@ router.post('/group', protect, async (req, res) => {
       });
     }
 
+    const members = [...new Set(participants.map(String))].filter(userId => userId !== req.user._id.toString());
+
     const chat = await Chat.create({
       chatType: 'group',
       groupName,
-      participants: [req.user._id, ...participants],
-      groupAdmin: req.user._id
+      participants: [req.user._id, ...members],
+      groupAdmin: req.user._id,
+      groupAdmins: [req.user._id],
+      memberHistory: members.map(userId => ({ user: userId, action: 'added', by: req.user._id }))
     });
 
     await chat.populate('participants', 'email');
@@ -315,6 +770,43 @@ router.post('/group', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/chat/channel
+// @desc    Create an announcement channel for everyone, or for some departments
+// @access  Private (HR, boss, admin)
+router.post('/channel', protect, authorize(...CHANNEL_POSTER_ROLES), async (req, res) => {
+  try {
+    const { name, departments = [] } = req.body;
+
+    if (!name || !(await isDepartmentList(departments))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Channel name is required, departments must be a list of department IDs'
+      });
+    }
+
+    const channel = new Chat({
+      chatType: 'channel',
+      channelType: 'announcement',
+      groupName: name,
+      departments,
+      groupAdmin: req.user._id
+    });
+    await syncChannel(req.app.get('io'), channel);
+
+    res.status(201).json({
+      success: true,
+      message: 'Channel created successfully',
+      data: { chat: channel }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating channel',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/chat/upload
 // @desc    Upload file/image for chat
 // @access  Private
@@ -354,7 +846,7 @@ router.post('/upload', protect, chatUpload.single('file'), async (req, res) => {
 // @access  Private
 router.post('/:id/message', protect, async (req, res) => {
   try {
-    const { content, messageType = 'text', attachments } = req.body;
+    const { content, messageType = 'text', attachments, replyTo } = req.body;
 
     const chat = await Chat.findById(req.params.id);
 
@@ -366,17 +858,42 @@ router.post('/:id/message', protect, async (req, res) => {
     }
 
     // Check if user is participant
-    const isParticipant = chat.participants.some(
-      p => p.toString() === req.user._id.toString()
-    );
-
-    if (!isParticipant) {
+    if (!isParticipant(chat, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to send messages in this chat'
       });
     }
 
+    if (chat.chatType === 'channel' && !chat.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This channel is archived'
+      });
+    }
+
+    if (!canPostInChat(chat, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only HR or boss can post in announcement channels'
+      });
+    }
+
+    // A reply must point at a message of the same chat
+    let parent = null;
+    if (replyTo) {
+      parent = mongoose.isValidObjectId(replyTo)
+        ? await Message.findOne({ _id: replyTo, chat: chat._id }).select(REPLY_TO_FIELDS).lean()
+        : null;
+
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reply must reference a message in this chat'
+        });
+      }
+    }
+
     // Determine message type based on attachments
     let finalMessageType = messageType;
     if (attachments && attachments.length > 0) {
@@ -397,7 +914,15 @@ router.post('/:id/message', protect, async (req, res) => {
       }
     }
 
-    const message = {
+    // Recipients connected right now receive the message through the socket
+    const presence = req.app.get('presence');
+    const recipients = chat.participants.filter(p => p.toString() !== req.user._id.toString());
+    const onlineRecipients = presence
+      ? (await presence.getPresence(recipients)).filter(status => status.online).map(status => status.userId)
+      : [];
+
+    const message = await Message.create({
+      chat: chat._id,
       sender: req.user._id,
       content: content || '',
       messageType: finalMessageType,
@@ -407,34 +932,39 @@ router.post('/:id/message', protect, async (req, res) => {
         attachmentType: att.attachmentType || att.type, // Handle both for safety
         size: att.size
       })) || [],
-      readBy: [{ user: req.user._id }]
-    };
+      readBy: [{ user: req.user._id }],
+      deliveredTo: onlineRecipients.map(user => ({ user })),
+      replyTo: parent?._id
+    });
 
-    chat.messages.push(message);
     chat.lastMessage = {
       content: lastMessageContent,
       sender: req.user._id,
-      createdAt: new Date()
+      createdAt: message.createdAt
     };
     await chat.save();
 
-    // Get the newly created message (last one in array)
-    const lastMsg = chat.messages[chat.messages.length - 1];
-
     // Format response manually instead of full population if it fails
     const populatedMessage = {
-      _id: lastMsg._id,
+      _id: message._id,
+      chat: chat._id,
       sender: {
         _id: req.user._id,
         email: req.user.email
       },
-      content: lastMsg.content,
-      messageType: lastMsg.messageType,
-      attachments: lastMsg.attachments,
-      createdAt: lastMsg.createdAt,
-      readBy: lastMsg.readBy
+      content: message.content,
+      messageType: message.messageType,
+      attachments: message.attachments,
+      replyTo: parent,
+      reactions: message.reactions,
+      createdAt: message.createdAt,
+      readBy: message.readBy,
+      deliveredTo: message.deliveredTo
     };
 
+    // Out-of-office replies from participants on leave (once per leave)
+    const autoReplies = await addOutOfOfficeReplies(chat, req.user._id);
+
     // Emit socket event to all participants except sender
     const io = req.app.get('io');
     if (io) {
@@ -447,12 +977,42 @@ router.post('/:id/message', protect, async (req, res) => {
           });
         }
       });
+
+      autoReplies.forEach(reply => {
+        chat.participants.forEach(participant => {
+          io.to(participant.toString()).emit('newMessage', {
+            chatId: chat._id.toString(),
+            message: reply
+          });
+        });
+      });
+    }
+
+    // No notifications for participants who muted the chat
+    const mutedUserIds = getMutedUserIds(chat);
+    await notify(io, chat.participants, {
+      category: 'chat',
+      type: 'newMessage',
+      title: `New message from ${req.user.employee ? `${req.user.employee.firstName} ${req.user.employee.lastName}` : req.user.email}`,
+      message: notificationPreview(lastMessageContent),
+      data: { chatId: chat._id, messageId: message._id },
+      exclude: [req.user._id, ...mutedUserIds]
+    });
+    for (const reply of autoReplies) {
+      await notify(io, chat.participants, {
+        category: 'chat',
+        type: 'newMessage',
+        title: 'Out of office',
+        message: notificationPreview(reply.content),
+        data: { chatId: chat._id, messageId: reply._id },
+        exclude: [reply.sender, ...mutedUserIds]
+      });
     }
 
     res.json({
       success: true,
       message: 'Message sent',
-      data: { message: populatedMessage }
+      data: { message: addReceipts([{ ...populatedMessage }], chat, req.user._id)[0], autoReplies }
     });
   } catch (error) {
     console.error('[Chat API Error]:', error);
@@ -466,38 +1026,39 @@ router.post('/:id/message', protect, async (req, res) => {
 });
 
 // @route   PUT /api/chat/:id/group
-// @desc    Update group chat
-// @access  Private (Group admin only)
+// @desc    Update group chat (name, add / remove participants)
+// @access  Private (Group admins)
 router.put('/:id/group', protect, async (req, res) => {
   try {
-    const chat = await Chat.findById(req.params.id);
-
-    if (!chat || chat.chatType !== 'group') {
-      return res.status(404).json({
-        success: false,
-        message: 'Group chat not found'
-      });
+    const chat = await findGroupChat(req, res, { adminOnly: true });
+    if (!chat) return;
+
+    const { groupName, addParticipants } = req.body;
+    const removeParticipants = [...new Set((req.body.removeParticipants || []).map(String))];
+
+    for (const userId of removeParticipants) {
+      const error = getRemovalError(chat, req.user._id, userId);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
     }
 
-    if (chat.groupAdmin.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only group admin can update group'
-      });
+    if (groupName && groupName !== chat.groupName) {
+      chat.groupName = groupName;
+      const names = await getDisplayNames([req.user._id]);
+      await postSystemMessage(req.app.get('io'), chat, req.user._id, `${names.get(req.user._id.toString())} renamed the group to "${groupName}"`);
+      emitGroupUpdated(req, chat, 'renamed', []);
     }
 
-    const { groupName, addParticipants, removeParticipants } = req.body;
-
-    if (groupName) chat.groupName = groupName;
-
     if (addParticipants) {
-      chat.participants.push(...addParticipants);
+      await addGroupMembers(req, chat, addParticipants);
     }
 
-    if (removeParticipants) {
-      chat.participants = chat.participants.filter(
-        p => !removeParticipants.includes(p.toString())
-      );
+    for (const userId of removeParticipants) {
+      await removeGroupMember(req, chat, userId, 'removed');
     }
 
     await chat.save();
@@ -516,48 +1077,701 @@ router.put('/:id/group', protect, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/chat/:id/message/:messageId
-// @desc    Delete message
-// @access  Private
-router.delete('/:id/message/:messageId', protect, async (req, res) => {
+// @route   PUT /api/chat/:id/channel
+// @desc    Rename an announcement channel or change its departments
+// @access  Private (HR, boss, admin)
+router.put('/:id/channel', protect, authorize(...CHANNEL_POSTER_ROLES), async (req, res) => {
   try {
-    const chat = await Chat.findById(req.params.id);
+    const { name, departments } = req.body;
 
-    if (!chat) {
-      return res.status(404).json({
+    if (departments !== undefined && !(await isDepartmentList(departments))) {
+      return res.status(400).json({
         success: false,
-        message: 'Chat not found'
+        message: 'Departments must be a list of department IDs'
       });
     }
 
-    const message = chat.messages.id(req.params.messageId);
+    const channel = await Chat.findOne({ _id: req.params.id, channelType: 'announcement', isActive: true });
 
-    if (!message) {
+    if (!channel) {
       return res.status(404).json({
         success: false,
-        message: 'Message not found'
+        message: 'Announcement channel not found'
       });
     }
 
-    if (message.sender.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    if (name) channel.groupName = name;
+    if (departments) channel.departments = departments;
+    const { added, removed } = await syncChannel(req.app.get('io'), channel);
+
+    res.json({
+      success: true,
+      message: 'Channel updated',
+      data: { chat: channel, added, removed }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating channel',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/chat/:id/channel
+// @desc    Archive an announcement channel (members keep read access)
+// @access  Private (HR, boss, admin)
+router.delete('/:id/channel', protect, authorize(...CHANNEL_POSTER_ROLES), async (req, res) => {
+  try {
+    const channel = await Chat.findOneAndUpdate(
+      { _id: req.params.id, channelType: 'announcement', isActive: true },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!channel) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to delete this message'
+        message: 'Announcement channel not found'
       });
     }
 
-    message.isDeleted = true;
-    message.content = 'This message was deleted';
-    await chat.save();
+    res.json({
+      success: true,
+      message: 'Channel archived'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving channel',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/chat/:id/members
+// @desc    Get group members with their roles, and the membership history
+// @access  Private (Group members)
+router.get('/:id/members', protect, async (req, res) => {
+  try {
+    const chat = await findGroupChat(req, res);
+    if (!chat) return;
+
+    await chat.populate([
+      {
+        path: 'participants',
+        select: 'email role isActive',
+        populate: { path: 'employee', select: 'firstName lastName employeeId designation avatar' }
+      },
+      { path: 'memberHistory.user', select: 'email' },
+      { path: 'memberHistory.by', select: 'email' }
+    ]);
+
+    const admins = getGroupAdmins(chat);
+    const members = chat.participants.map(user => ({
+      user,
+      role: isGroupOwner(chat, user._id) ? 'owner' : admins.includes(user._id.toString()) ? 'admin' : 'member'
+    }));
 
     res.json({
       success: true,
-      message: 'Message deleted'
+      data: {
+        members,
+        history: chat.memberHistory
+      }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error deleting message',
+      message: 'Error fetching group members',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/chat/:id/members
+// @desc    Add members to a group
+// @access  Private (Group admins)
+router.post('/:id/members', protect, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be a non-empty list of user IDs'
+      });
+    }
+
+    const chat = await findGroupChat(req, res, { adminOnly: true });
+    if (!chat) return;
+
+    const added = await addGroupMembers(req, chat, userIds);
+
+    if (added.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No new active users to add'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${added.length} member(s) added`,
+      data: { added, participants: chat.participants }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding group members',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/chat/:id/members/:userId
+// @desc    Remove a member from a group
+// @access  Private (Group admins; admins can only be removed by the owner)
+router.delete('/:id/members/:userId', protect, async (req, res) => {
+  try {
+    const chat = await findGroupChat(req, res, { adminOnly: true });
+    if (!chat) return;
+
+    const error = getRemovalError(chat, req.user._id, req.params.userId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await removeGroupMember(req, chat, req.params.userId, 'removed');
+
+    res.json({
+      success: true,
+      message: 'Member removed',
+      data: { participants: chat.participants }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing group member',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/chat/:id/leave
+// @desc    Leave a group (ownership passes on when the owner leaves)
+// @access  Private (Group members)
+router.post('/:id/leave', protect, async (req, res) => {
+  try {
+    const chat = await findGroupChat(req, res);
+    if (!chat) return;
+
+    const newOwner = await removeGroupMember(req, chat, req.user._id.toString(), 'left');
+
+    res.json({
+      success: true,
+      message: 'You left the group',
+      data: { newOwner }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving group',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/chat/:id/admins/:userId
+// @desc    Make a member a group admin
+// @access  Private (Group admins)
+router.put('/:id/admins/:userId', protect, async (req, res) => {
+  try {
+    const chat = await findGroupChat(req, res, { adminOnly: true });
+    if (!chat) return;
+
+    const { userId } = req.params;
+
+    if (!isParticipant(chat, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    if (isGroupAdmin(chat, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a group admin'
+      });
+    }
+
+    chat.groupAdmins.push(userId);
+    chat.memberHistory.push({ user: userId, action: 'promoted', by: req.user._id });
+
+    const names = await getDisplayNames([req.user._id, userId]);
+    await postSystemMessage(req.app.get('io'), chat, req.user._id, `${names.get(req.user._id.toString())} made ${names.get(userId)} an admin`);
+    emitGroupUpdated(req, chat, 'promoted', [userId]);
+
+    res.json({
+      success: true,
+      message: 'Group admin added',
+      data: { groupAdmin: chat.groupAdmin, groupAdmins: getGroupAdmins(chat) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding group admin',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/chat/:id/admins/:userId
+// @desc    Remove a group admin's admin rights (admins can also step down themselves)
+// @access  Private (Group owner, or the admin themselves)
+router.delete('/:id/admins/:userId', protect, async (req, res) => {
+  try {
+    const chat = await findGroupChat(req, res);
+    if (!chat) return;
+
+    const { userId } = req.params;
+    const self = userId === req.user._id.toString();
+
+    if (!self && !isGroupOwner(chat, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can remove admins'
+      });
+    }
+
+    if (isGroupOwner(chat, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The group owner cannot stop being an admin'
+      });
+    }
+
+    if (!isGroupAdmin(chat, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a group admin'
+      });
+    }
+
+    chat.groupAdmins = chat.groupAdmins.filter(admin => admin.toString() !== userId);
+    chat.memberHistory.push({ user: userId, action: 'demoted', by: req.user._id });
+
+    const names = await getDisplayNames([req.user._id, userId]);
+    await postSystemMessage(
+      req.app.get('io'),
+      chat,
+      req.user._id,
+      self
+        ? `${names.get(userId)} is no longer an admin`
+        : `${names.get(req.user._id.toString())} removed ${names.get(userId)} as admin`
+    );
+    emitGroupUpdated(req, chat, 'demoted', [userId]);
+
+    res.json({
+      success: true,
+      message: 'Group admin removed',
+      data: { groupAdmin: chat.groupAdmin, groupAdmins: getGroupAdmins(chat) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing group admin',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/chat/:id/mute
+// @desc    Mute notifications of a chat (optionally `until` a date)
+// @access  Private
+router.put('/:id/mute', protect, async (req, res) => {
+  try {
+    const { until } = req.body;
+    const untilDate = until ? new Date(until) : null;
+
+    if (untilDate && (isNaN(untilDate) || untilDate <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'until must be a date in the future'
+      });
+    }
+
+    const chat = await Chat.findOne({ _id: req.params.id, participants: req.user._id });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found'
+      });
+    }
+
+    chat.mutedBy = chat.mutedBy.filter(mute => mute.user.toString() !== req.user._id.toString());
+    chat.mutedBy.push({ user: req.user._id, until: untilDate || undefined });
+    await chat.save();
+
+    res.json({
+      success: true,
+      message: 'Chat muted',
+      data: { muted: true, mutedUntil: untilDate }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error muting chat',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/chat/:id/mute
+// @desc    Unmute a chat
+// @access  Private
+router.delete('/:id/mute', protect, async (req, res) => {
+  try {
+    const chat = await Chat.findOneAndUpdate(
+      { _id: req.params.id, participants: req.user._id },
+      { $pull: { mutedBy: { user: req.user._id } } },
+      { new: true }
+    );
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Chat unmuted',
+      data: { muted: false, mutedUntil: null }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unmuting chat',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/chat/:id/message/:messageId
+// @desc    Delete message
+// @access  Private
+router.delete('/:id/message/:messageId', protect, async (req, res) => {
+  try {
+    const found = await findChatMessage(req, res);
+    if (!found) return;
+    const { chat, message } = found;
+
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this message'
+      });
+    }
+
+    message.isDeleted = true;
+    message.content = 'This message was deleted';
+    message.editHistory = [];
+    message.reactions = [];
+    await message.save();
+
+    emitToParticipants(req, chat, 'messageDeleted', { messageId: message._id.toString() });
+
+    res.json({
+      success: true,
+      message: 'Message deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting message',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/chat/:id/message/:messageId
+// @desc    Edit own message (earlier versions are kept in editHistory)
+// @access  Private
+router.put('/:id/message/:messageId', protect, async (req, res) => {
+  try {
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content is required'
+      });
+    }
+
+    const found = await findChatMessage(req, res);
+    if (!found) return;
+    const { chat, message } = found;
+
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this message'
+      });
+    }
+
+    if (message.isDeleted || message.messageType === 'system') {
+      return res.status(400).json({
+        success: false,
+        message: message.isDeleted ? 'Deleted messages cannot be edited' : 'System messages cannot be edited'
+      });
+    }
+
+    if (content !== message.content) {
+      const editedAt = new Date();
+      message.editHistory.push({ content: message.content, editedAt });
+      message.content = content;
+      message.editedAt = editedAt;
+      await message.save();
+
+      // Keep the chat list preview in step when the latest message changes
+      if (chat.lastMessage?.createdAt?.getTime() === message.createdAt.getTime()) {
+        chat.lastMessage.content = content;
+        await chat.save();
+      }
+
+      emitToParticipants(req, chat, 'messageEdited', {
+        messageId: message._id.toString(),
+        content: message.content,
+        editedAt: message.editedAt
+      });
+    }
+
+    await message.populate('sender', 'email');
+
+    res.json({
+      success: true,
+      message: 'Message edited',
+      data: { message }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error editing message',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/chat/:id/message/:messageId/history
+// @desc    Get the edit history of a message
+// @access  Private
+router.get('/:id/message/:messageId/history', protect, async (req, res) => {
+  try {
+    const found = await findChatMessage(req, res);
+    if (!found) return;
+    const { message } = found;
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        content: message.content,
+        editedAt: message.editedAt,
+        editHistory: message.editHistory
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching edit history',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/chat/:id/message/:messageId/receipts
+// @desc    Get who has received and read own message
+// @access  Private (Sender only)
+router.get('/:id/message/:messageId/receipts', protect, async (req, res) => {
+  try {
+    const found = await findChatMessage(req, res);
+    if (!found) return;
+    const { chat, message } = found;
+
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the sender can see read receipts'
+      });
+    }
+
+    const recipients = await User.find({
+      _id: { $in: chat.participants.filter(p => p.toString() !== req.user._id.toString()) }
+    })
+      .populate('employee', 'firstName lastName employeeId avatar')
+      .select('email employee')
+      .lean();
+
+    const readAt = new Map(message.readBy.map(r => [r.user.toString(), r.readAt]));
+    const deliveredAt = new Map(message.deliveredTo.map(d => [d.user.toString(), d.deliveredAt]));
+
+    const read = [];
+    const delivered = [];
+    const pending = [];
+    recipients.forEach(user => {
+      const userId = user._id.toString();
+      if (readAt.has(userId)) {
+        read.push({ user, readAt: readAt.get(userId) });
+      } else if (deliveredAt.has(userId)) {
+        delivered.push({ user, deliveredAt: deliveredAt.get(userId) });
+      } else {
+        pending.push({ user });
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        receipt: addReceipts([message.toObject()], chat, req.user._id)[0].receipt,
+        read,
+        delivered,
+        pending
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching read receipts',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/chat/:id/message/:messageId/replies
+// @desc    Get replies to a message, oldest first
+// @access  Private
+router.get('/:id/message/:messageId/replies', protect, async (req, res) => {
+  try {
+    const found = await findChatMessage(req, res);
+    if (!found) return;
+    const { message } = found;
+
+    const replies = await Message.find({ chat: message.chat, replyTo: message._id })
+      .populate('sender', 'email')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { replies }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching replies',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/chat/:id/message/:messageId/reactions
+// @desc    React to a message with an emoji
+// @access  Private
+router.post('/:id/message/:messageId/reactions', protect, async (req, res) => {
+  try {
+    const emoji = typeof req.body.emoji === 'string' ? req.body.emoji.trim() : '';
+
+    if (!emoji || emoji.length > MAX_REACTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: 'A single emoji is required'
+      });
+    }
+
+    const found = await findChatMessage(req, res);
+    if (!found) return;
+    const { chat, message } = found;
+
+    if (message.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot react to a deleted message'
+      });
+    }
+
+    // Only adds the reaction if this user hasn't already used this emoji
+    const updated = await Message.findOneAndUpdate(
+      {
+        _id: message._id,
+        isDeleted: { $ne: true },
+        reactions: { $not: { $elemMatch: { user: req.user._id, emoji } } }
+      },
+      { $push: { reactions: { user: req.user._id, emoji, reactedAt: new Date() } } },
+      { new: true }
+    );
+
+    const reactions = (updated || message).reactions;
+    if (updated) {
+      emitToParticipants(req, chat, 'messageReaction', {
+        messageId: message._id.toString(),
+        reactions
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reaction added',
+      data: { messageId: message._id, reactions }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding reaction',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/chat/:id/message/:messageId/reactions/:emoji
+// @desc    Remove own reaction from a message
+// @access  Private
+router.delete('/:id/message/:messageId/reactions/:emoji', protect, async (req, res) => {
+  try {
+    const found = await findChatMessage(req, res);
+    if (!found) return;
+    const { chat, message } = found;
+
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, reactions: { $elemMatch: { user: req.user._id, emoji: req.params.emoji } } },
+      { $pull: { reactions: { user: req.user._id, emoji: req.params.emoji } } },
+      { new: true }
+    );
+
+    const reactions = (updated || message).reactions;
+    if (updated) {
+      emitToParticipants(req, chat, 'messageReaction', {
+        messageId: message._id.toString(),
+        reactions
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reaction removed',
+      data: { messageId: message._id, reactions }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing reaction',
       error: error.message
     });
   }
@@ -0,0 +1,219 @@
+const express = require('express');
+const CompOffCredit = require('../models/CompOffCredit');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { protect, isHROrAbove } = require('../middleware/auth');
+const { getCompOffConfig, getCompOffExpiry } = require('../utils/compOff');
+const { recordCompOffCredit } = require('../utils/leaveAccrual');
+const { getEmployeeTimezone } = require('../utils/timezone');
+const { notify } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Let the employee know their credit was reviewed
+const notifyEmployee = async (req, credit) => {
+  const io = req.app.get('io');
+  const employeeUser = await User.findOne({ employee: credit.employee }).select('_id');
+  if (!employeeUser) return;
+  const compOffReviewed = {
+    _id: credit._id,
+    date: credit.date,
+    source: credit.source,
+    days: credit.days,
+    status: credit.status,
+    expiresOn: credit.expiresOn,
+    reviewerComments: credit.reviewerComments
+  };
+  if (io) {
+    io.to(employeeUser._id.toString()).emit('compOffReviewed', compOffReviewed);
+  }
+  await notify(io, [employeeUser._id], {
+    category: 'leave',
+    type: 'compOffReviewed',
+    title: credit.status === 'approved'
+      ? `${credit.days} day(s) of comp-off credited`
+      : 'Comp-off credit rejected',
+    message: credit.reviewerComments,
+    data: compOffReviewed
+  });
+};
+
+// Loads a pending credit for review, or sends the error response
+const findCreditForReview = async (req, res) => {
+  const credit = await CompOffCredit.findById(req.params.id);
+
+  if (!credit) {
+    res.status(404).json({
+      success: false,
+      message: 'Comp-off credit not found'
+    });
+    return null;
+  }
+
+  const userEmployeeId = req.user.employee && (req.user.employee._id || req.user.employee).toString();
+  if (credit.employee.toString() === userEmployeeId) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot review your own comp-off credit'
+    });
+    return null;
+  }
+
+  if (credit.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: 'Comp-off credit has already been reviewed'
+    });
+    return null;
+  }
+
+  return credit;
+};
+
+// @route   GET /api/comp-off
+// @desc    Get comp-off credits
+// @access  Private (HR or above)
+router.get('/', protect, isHROrAbove, async (req, res) => {
+  try {
+    const { status, employee, source, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (employee) query.employee = employee;
+    if (source) query.source = source;
+
+    const credits = await CompOffCredit.find(query)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('attendance', 'checkIn.time checkOut.time workingHours overtime status')
+      .populate('reviewedBy', 'email')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .sort({ date: -1 })
+      .lean();
+
+    const total = await CompOffCredit.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        credits,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comp-off credits',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/comp-off/my
+// @desc    Get current user's comp-off credits
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const query = { employee: req.user.employee };
+    if (req.query.status) query.status = req.query.status;
+
+    const credits = await CompOffCredit.find(query)
+      .populate('reviewedBy', 'email')
+      .select('-__v')
+      .sort({ date: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { credits }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comp-off credits',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/comp-off/:id/approve
+// @desc    Approve a comp-off credit and add it to the employee's balance
+// @access  Private (HR or above)
+router.put('/:id/approve', protect, isHROrAbove, async (req, res) => {
+  try {
+    const credit = await findCreditForReview(req, res);
+    if (!credit) return;
+
+    const [settings, timezone] = await Promise.all([
+      Settings.getSettings(),
+      getEmployeeTimezone(credit.employee)
+    ]);
+
+    credit.status = 'approved';
+    credit.expiresOn = getCompOffExpiry(credit.date, getCompOffConfig(settings), timezone);
+    credit.reviewedBy = req.user._id;
+    credit.reviewedOn = new Date();
+    credit.reviewerComments = req.body.comments;
+    await credit.save();
+
+    await recordCompOffCredit(credit, req.user._id);
+    await notifyEmployee(req, credit);
+
+    res.json({
+      success: true,
+      message: `${credit.days} day(s) of comp-off credited`,
+      data: { credit }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error approving comp-off credit',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/comp-off/:id/reject
+// @desc    Reject a comp-off credit
+// @access  Private (HR or above)
+router.put('/:id/reject', protect, isHROrAbove, async (req, res) => {
+  try {
+    const reason = req.body.reason || req.body.comments;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a comp-off credit'
+      });
+    }
+
+    const credit = await findCreditForReview(req, res);
+    if (!credit) return;
+
+    credit.status = 'rejected';
+    credit.reviewedBy = req.user._id;
+    credit.reviewedOn = new Date();
+    credit.reviewerComments = reason;
+    await credit.save();
+
+    await notifyEmployee(req, credit);
+
+    res.json({
+      success: true,
+      message: 'Comp-off credit rejected',
+      data: { credit }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting comp-off credit',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const Department = require('../models/Department');
 const { protect, isHROrAbove, isBossOrAdmin } = require('../middleware/auth');
+const { ensureDepartmentChannel } = require('../utils/channels');
 
 const router = express.Router();
 
@@ -91,6 +92,7 @@ router.get('/:id', protect, async (req, res) => {
 router.post('/', protect, isBossOrAdmin, async (req, res) => {
   try {
     const department = await Department.create(req.body);
+    await ensureDepartmentChannel(req.app.get('io'), department);
 
     res.status(201).json({
       success: true,
@@ -124,6 +126,8 @@ router.put('/:id', protect, isHROrAbove, async (req, res) => {
       });
     }
 
+    await ensureDepartmentChannel(req.app.get('io'), department);
+
     res.json({
       success: true,
       message: 'Department updated successfully',
@@ -156,6 +160,8 @@ router.delete('/:id', protect, isBossOrAdmin, async (req, res) => {
       });
     }
 
+    await ensureDepartmentChannel(req.app.get('io'), department);
+
     res.json({
       success: true,
       message: 'Department deactivated successfully'
@@ -4,6 +4,8 @@ const User = require('../models/User');
 const { protect, isHROrAbove } = require('../middleware/auth');
 const { employeeValidator } = require('../middleware/validators');
 const { documentUpload } = require('../config/upload');
+const { transferGroupsOfDeactivatedUser, removeDeletedUserFromGroups } = require('../utils/chatGroups');
+const { syncEmployeeChannels, syncUserChannels } = require('../utils/channels');
 
 const router = express.Router();
 
@@ -308,6 +310,7 @@ router.post('/', protect, isHROrAbove, employeeValidator, async (req, res) => {
         role: 'employee',
         employee: employee._id
       });
+      await syncEmployeeChannels(req.app.get('io'), employee._id);
     }
 
     res.status(201).json({
@@ -362,6 +365,11 @@ router.put('/:id', protect, async (req, res) => {
       { new: true, runValidators: true }
     ).populate('department');
 
+    // Department or status may have changed
+    if (isHR) {
+      await syncEmployeeChannels(req.app.get('io'), updatedEmployee._id);
+    }
+
     res.json({
       success: true,
       message: 'Employee updated successfully',
@@ -405,6 +413,11 @@ router.put('/:id/freeze', protect, isHROrAbove, async (req, res) => {
       });
     }
 
+    if (!user.isActive) {
+      await transferGroupsOfDeactivatedUser(req.app.get('io'), user._id);
+    }
+    await syncUserChannels(req.app.get('io'), user._id);
+
     res.json({
       success: true,
       message: isActive ? 'Employee account unfrozen successfully' : 'Employee account frozen successfully',
@@ -438,10 +451,14 @@ router.put('/:id/terminate', protect, isHROrAbove, async (req, res) => {
     }
 
     // Deactivate user account
-    await User.findOneAndUpdate(
+    const user = await User.findOneAndUpdate(
       { employee: req.params.id },
       { isActive: false }
     );
+    if (user) {
+      await transferGroupsOfDeactivatedUser(req.app.get('io'), user._id);
+      await syncUserChannels(req.app.get('io'), user._id);
+    }
 
     res.json({
       success: true,
@@ -480,6 +497,7 @@ router.put('/:id/unterminate', protect, isHROrAbove, async (req, res) => {
       { employee: req.params.id },
       { isActive: true }
     );
+    await syncEmployeeChannels(req.app.get('io'), employee._id);
 
     res.json({
       success: true,
@@ -551,8 +569,17 @@ router.delete('/:id', protect, isHROrAbove, async (req, res) => {
       )
     ]);
 
-    // Delete associated user account
+    // Delete associated user account (their groups get a new owner first,
+    // then they leave every group)
+    const user = await User.findOne({ employee: employeeId }).select('_id');
+    if (user) {
+      await transferGroupsOfDeactivatedUser(req.app.get('io'), user._id);
+      await removeDeletedUserFromGroups(req.app.get('io'), user._id);
+    }
     await User.findOneAndDelete({ employee: employeeId });
+    if (user) {
+      await syncUserChannels(req.app.get('io'), user._id);
+    }
 
     // Delete employee record
     await Employee.findByIdAndDelete(employeeId);
@@ -0,0 +1,248 @@
+const express = require('express');
+const Holiday = require('../models/Holiday');
+const Notice = require('../models/Notice');
+const { protect, isHROrAbove } = require('../middleware/auth');
+const { getHolidayMap } = require('../utils/holidays');
+const { notify, getNoticeRecipients } = require('../utils/notifications');
+const {
+  parseDate,
+  startOfDay,
+  startOfYear,
+  endOfYear,
+  toDateKey,
+  getOrgTimezone
+} = require('../utils/timezone');
+
+const router = express.Router();
+
+// Publish a 'holiday' notice for a holiday, same as POST /api/notices
+const publishHolidayNotice = async (req, holiday, timezone) => {
+  const notice = await Notice.create({
+    title: holiday.name,
+    content: holiday.description || `${holiday.name} on ${toDateKey(holiday.date, timezone)}. The office will be closed.`,
+    category: 'holiday',
+    targetAudience: holiday.departments.length > 0 ? 'specific-department' : 'all',
+    departments: holiday.departments,
+    publishedBy: req.user._id
+  });
+
+  const io = req.app.get('io');
+  const newNotice = {
+    id: notice._id,
+    title: notice.title,
+    category: notice.category,
+    priority: notice.priority
+  };
+  if (io) {
+    io.emit('newNotice', newNotice);
+  }
+  await notify(io, await getNoticeRecipients(notice), {
+    category: 'notice',
+    type: 'newNotice',
+    title: notice.title,
+    data: newNotice,
+    exclude: req.user._id
+  });
+
+  return notice;
+};
+
+// @route   GET /api/holidays
+// @desc    Get holidays between two dates (defaults to the current year),
+//          with recurring holidays expanded into each year
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { startDate, endDate, department } = req.query;
+    const timezone = await getOrgTimezone();
+
+    const now = new Date();
+    const start = startDate ? startOfDay(parseDate(startDate, timezone), timezone) : startOfYear(now, timezone);
+    const end = endDate ? startOfDay(parseDate(endDate, timezone), timezone) : endOfYear(now, timezone);
+
+    const holidayMap = await getHolidayMap(start, end, { department });
+    const startKey = toDateKey(start, timezone);
+    const endKey = toDateKey(end, timezone);
+
+    const holidays = [...holidayMap.entries()]
+      .filter(([date]) => date >= startKey && date <= endKey)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, holiday]) => ({ ...holiday, occursOn: date }));
+
+    res.json({
+      success: true,
+      data: { holidays }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching holidays',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/holidays/:id
+// @desc    Get holiday by ID
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id)
+      .populate('departments', 'name code')
+      .populate('notice', 'title publishedAt');
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { holiday }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching holiday',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/holidays
+// @desc    Create holiday (optionally publishing a holiday notice)
+// @access  Private (HR or above)
+router.post('/', protect, isHROrAbove, async (req, res) => {
+  try {
+    const { name, date, isRecurring, departments, description, publishNotice } = req.body;
+
+    if (!name || !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Holiday name and date are required'
+      });
+    }
+
+    const timezone = await getOrgTimezone();
+    const holidayDate = parseDate(date, timezone);
+    if (isNaN(holidayDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid holiday date'
+      });
+    }
+
+    const holiday = await Holiday.create({
+      name,
+      date: startOfDay(holidayDate, timezone),
+      isRecurring: !!isRecurring,
+      departments: departments || [],
+      description: description || '',
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    if (publishNotice) {
+      const notice = await publishHolidayNotice(req, holiday, timezone);
+      holiday.notice = notice._id;
+      await holiday.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday created successfully',
+      data: { holiday }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating holiday',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/holidays/:id
+// @desc    Update holiday
+// @access  Private (HR or above)
+router.put('/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    const { name, date, isRecurring, departments, description, isActive } = req.body;
+    const timezone = await getOrgTimezone();
+
+    if (date !== undefined) {
+      const holidayDate = parseDate(date, timezone);
+      if (isNaN(holidayDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid holiday date'
+        });
+      }
+      holiday.date = startOfDay(holidayDate, timezone);
+    }
+    if (name !== undefined) holiday.name = name;
+    if (isRecurring !== undefined) holiday.isRecurring = isRecurring;
+    if (departments !== undefined) holiday.departments = departments;
+    if (description !== undefined) holiday.description = description;
+    if (isActive !== undefined) holiday.isActive = isActive;
+    holiday.updatedBy = req.user._id;
+
+    await holiday.save();
+
+    res.json({
+      success: true,
+      message: 'Holiday updated successfully',
+      data: { holiday }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating holiday',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/holidays/:id
+// @desc    Delete holiday (soft delete)
+// @access  Private (HR or above)
+router.delete('/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    holiday.isActive = false;
+    holiday.updatedBy = req.user._id;
+    await holiday.save();
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting holiday',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
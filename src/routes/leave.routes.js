@@ -1,10 +1,71 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Leave = require('../models/Leave');
 const LeavePolicy = require('../models/LeavePolicy');
+const LeaveLedger = require('../models/LeaveLedger');
+const LeaveApprovalChain = require('../models/LeaveApprovalChain');
 const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
 const { protect, isHROrAbove } = require('../middleware/auth');
 const { leaveValidator } = require('../middleware/validators');
 const { leaveUpload } = require('../config/upload');
+const {
+  parseDate,
+  getZonedParts,
+  startOfDay,
+  endOfDay,
+  startOfMonth,
+  endOfMonth,
+  toDateKey,
+  getOrgTimezone,
+  getEmployeeTimezone
+} = require('../utils/timezone');
+const { countEmployeeWorkingDays } = require('../utils/holidays');
+const {
+  recordLeaveDeduction,
+  recordLeaveReversal,
+  accrueEmployee,
+  getLeaveBalances
+} = require('../utils/leaveAccrual');
+const { validateLeaveRequest } = require('../utils/leaveRules');
+const {
+  APPROVER_LABELS,
+  getStepApprovers,
+  buildApprovalSteps,
+  ensureApprovalSteps,
+  getCurrentStep,
+  hasApprovedEarlierStep,
+  canActOnStep,
+  getStepUserIds
+} = require('../utils/leaveApproval');
+const { updateMeetingsForLeave } = require('../utils/delegation');
+const { buildLeaveCalendar, checkLeaveStaffing } = require('../utils/leaveCalendar');
+const { notify } = require('../utils/notifications');
+const accrueLeave = require('../jobs/accrueLeave');
+
+const HR_ROLES = ['hr', 'manager', 'boss', 'admin'];
+
+// Longest range the leave calendar returns at once
+const CALENDAR_MAX_DAYS = 92;
+
+// HR can look at any employee via ?employee=; everyone else gets their own record
+const getTargetEmployee = (req) => {
+  const requested = req.query.employee || req.body?.employee;
+  if (requested && HR_ROLES.includes(req.user.role)) return requested;
+  return req.user.employee?._id || req.user.employee;
+};
+
+// Fields of LeavePolicy that HR can set
+const POLICY_FIELDS = [
+  'yearlyLimit',
+  'accrualFrequency',
+  'prorateFromJoining',
+  'carryForwardLimit',
+  'carryForwardExpiryMonths',
+  'minServiceMonths',
+  'description',
+  'isActive'
+];
 
 const router = express.Router();
 
@@ -78,14 +139,19 @@ router.get('/my', protect, async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
-    const employee = await Employee.findById(req.user.employee)
-      .select('leaveBalance');
+    // Days available per leave type, from the leave ledger
+    const { balances } = req.user.employee
+      ? await getLeaveBalances(req.user.employee)
+      : { balances: undefined };
+    const leaveBalance = balances && Object.fromEntries(
+      Object.entries(balances).map(([type, balance]) => [type, balance.available])
+    );
 
     res.json({
       success: true,
       data: {
         leaves,
-        leaveBalance: employee?.leaveBalance
+        leaveBalance
       }
     });
   } catch (error) {
@@ -126,50 +192,28 @@ router.get('/pending', protect, isHROrAbove, async (req, res) => {
 });
 
 // @route   GET /api/leaves/balance
-// @desc    Get leave balance (simplified - showing only used days)
-// @access  Private
+// @desc    Get leave balance per type (entitlement - used - pending)
+// @access  Private (HR can pass ?employee=)
 router.get('/balance', protect, async (req, res) => {
   try {
-    const now = new Date();
-    const startOfYear = new Date(now.getFullYear(), 0, 1);
-    const endOfYear = new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
-
-    const mongoose = require('mongoose');
-    const employeeId = req.user.employee?._id || req.user.employee;
-    const employeeObjectId = mongoose.Types.ObjectId.isValid(employeeId)
-      ? new mongoose.Types.ObjectId(employeeId)
-      : employeeId;
-
-    const usedLeaves = await Leave.aggregate([
-      {
-        $match: {
-          employee: employeeObjectId,
-          status: 'approved',
-          $or: [
-            { startDate: { $gte: startOfYear, $lte: endOfYear } },
-            { endDate: { $gte: startOfYear, $lte: endOfYear } }
-          ]
-        }
-      },
-      {
-        $group: {
-          _id: '$leaveType',
-          totalDays: { $sum: '$totalDays' }
-        }
-      }
-    ]);
+    const employeeId = getTargetEmployee(req);
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee record not found'
+      });
+    }
 
-    const usedMap = {};
-    usedLeaves.forEach(item => {
-      usedMap[item._id] = item.totalDays;
+    const { year, balances } = await getLeaveBalances(employeeId, {
+      year: req.query.year ? parseInt(req.query.year) : undefined
     });
 
+    // Days used per type (kept for older clients)
+    const used = Object.fromEntries(Object.entries(balances).map(([type, balance]) => [type, balance.used]));
+
     res.json({
       success: true,
-      data: {
-        used: usedMap,
-        message: 'Leave balance logic simplified. Showing used days only.'
-      }
+      data: { year, balances, used }
     });
   } catch (error) {
     res.status(500).json({
@@ -180,6 +224,123 @@ router.get('/balance', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/leaves/ledger
+// @desc    Get leave ledger entries (accruals, carry-forward, expiry, deductions)
+// @access  Private (HR can pass ?employee=)
+router.get('/ledger', protect, async (req, res) => {
+  try {
+    const employeeId = getTargetEmployee(req);
+    const timezone = await getEmployeeTimezone(employeeId);
+    const year = req.query.year ? parseInt(req.query.year) : getZonedParts(new Date(), timezone).year;
+
+    const query = { employee: employeeId, year };
+    if (req.query.leaveType) query.leaveType = req.query.leaveType;
+
+    const entries = await LeaveLedger.find(query)
+      .populate('leave', 'leaveType startDate endDate status')
+      .populate('createdBy', 'email')
+      .select('-__v -key')
+      .sort({ effectiveDate: 1, createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { year, entries }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leave ledger',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/leaves/ledger/adjust
+// @desc    Manually credit or debit an employee's leave entitlement
+// @access  Private (HR or above)
+router.post('/ledger/adjust', protect, isHROrAbove, async (req, res) => {
+  try {
+    const { employee, leaveType, days, reason } = req.body;
+    const amount = Number(days);
+
+    if (!employee || !leaveType || !Number.isFinite(amount) || amount === 0 || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee, leave type, a non-zero number of days and a reason are required'
+      });
+    }
+
+    const employeeDoc = await Employee.findById(employee).select('_id timezone');
+    if (!employeeDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const timezone = await getEmployeeTimezone(employeeDoc);
+    const entry = await LeaveLedger.create({
+      employee: employeeDoc._id,
+      leaveType,
+      year: req.body.year ? parseInt(req.body.year) : getZonedParts(new Date(), timezone).year,
+      entryType: 'adjustment',
+      days: amount,
+      effectiveDate: new Date(),
+      description: reason,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave balance adjusted',
+      data: { entry }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adjusting leave balance',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/leaves/ledger/accrue
+// @desc    Credit accruals, carry-forward and expiry now instead of waiting for
+//          the accrueLeave job (one employee, or everyone current)
+// @access  Private (HR or above)
+router.post('/ledger/accrue', protect, isHROrAbove, async (req, res) => {
+  try {
+    let created;
+
+    if (req.body.employee) {
+      const employee = await Employee.findById(req.body.employee).select('_id dateOfJoining timezone').lean();
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Employee not found'
+        });
+      }
+      const policies = await LeavePolicy.find({ isActive: true }).lean();
+      created = await accrueEmployee(employee, policies);
+    } else {
+      created = await accrueLeave();
+    }
+
+    res.json({
+      success: true,
+      message: `Created ${created} leave ledger entries`,
+      data: { created }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error accruing leave',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/leaves/policy
 // @desc    Get all leave policies
 // @access  Private (HR or above)
@@ -258,6 +419,317 @@ router.get('/policy/:leaveType', protect, isHROrAbove, async (req, res) => {
   }
 });
 
+// @route   GET /api/leaves/calendar
+// @desc    Leave calendar for a department or team with holidays, attendance and staffing
+//          (?department=, ?team=<manager employee ID or 'me'>, ?startDate=, ?endDate=, ?status=)
+// @access  Private (HR sees any department or team; others their own team or department)
+router.get('/calendar', protect, async (req, res) => {
+  try {
+    const { department, team, status } = req.query;
+    const timezone = await getOrgTimezone();
+    const isHR = HR_ROLES.includes(req.user.role);
+    const userEmployeeId = req.user.employee && (req.user.employee._id || req.user.employee).toString();
+
+    // Defaults to the current month
+    const start = req.query.startDate ? parseDate(req.query.startDate, timezone) : startOfMonth(new Date(), timezone);
+    const end = req.query.endDate ? endOfDay(parseDate(req.query.endDate, timezone), timezone) : endOfMonth(start, timezone);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+    if (end - start > CALENDAR_MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${CALENDAR_MAX_DAYS} days`
+      });
+    }
+
+    const query = { status: { $in: ['active', 'on-leave'] } };
+    if (team) {
+      const managerId = team === 'me' ? userEmployeeId : team;
+      if (!managerId) {
+        return res.status(400).json({
+          success: false,
+          message: 'No employee profile linked to this account'
+        });
+      }
+      if (!mongoose.isValidObjectId(managerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid team'
+        });
+      }
+      if (!isHR && managerId !== userEmployeeId) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own team'
+        });
+      }
+      query.$or = [{ manager: managerId }, { _id: managerId }];
+    } else if (department) {
+      if (!mongoose.isValidObjectId(department)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid department'
+        });
+      }
+      const ownDepartment = (req.user.employee?.department?._id || req.user.employee?.department)?.toString();
+      if (!isHR && department !== ownDepartment) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own department'
+        });
+      }
+      query.department = department;
+    } else if (!isHR) {
+      const ownDepartment = req.user.employee?.department?._id || req.user.employee?.department;
+      if (!ownDepartment) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please choose a team or department'
+        });
+      }
+      query.department = ownDepartment;
+    }
+
+    const employees = await Employee.find(query)
+      .select('firstName lastName employeeId designation department')
+      .populate('department', 'name')
+      .sort({ firstName: 1, lastName: 1 })
+      .lean();
+
+    const statuses = ['approved', 'pending'].includes(status) ? [status] : ['approved', 'pending'];
+    const calendar = employees.length > 0
+      ? await buildLeaveCalendar(employees, start, end, timezone, { statuses })
+      : { employees: [], staffing: [], conflicts: [] };
+
+    res.json({
+      success: true,
+      data: {
+        startDate: toDateKey(start, timezone),
+        endDate: toDateKey(end, timezone),
+        timezone,
+        ...calendar
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leave calendar',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/leaves/delegated
+// @desc    Ongoing and upcoming approved leaves the current user is covering
+// @access  Private
+router.get('/delegated', protect, async (req, res) => {
+  try {
+    const leaves = await Leave.find({
+      delegate: req.user.employee,
+      status: 'approved',
+      endDate: { $gte: startOfDay(new Date(), await getEmployeeTimezone(req.user.employee)) }
+    })
+      .populate('employee', 'firstName lastName employeeId designation')
+      .select('employee leaveType startDate endDate totalDays outOfOfficeMessage')
+      .sort({ startDate: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { leaves }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delegated leaves',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/leaves/approvals
+// @desc    Pending leave requests whose current step the user can act on
+// @access  Private
+router.get('/approvals', protect, async (req, res) => {
+  try {
+    const leaves = await Leave.find({ status: 'pending' })
+      .populate({
+        path: 'employee',
+        select: 'firstName lastName employeeId department designation',
+        populate: { path: 'department', select: 'name' }
+      })
+      .select('-__v')
+      .sort({ createdAt: 1 });
+
+    const actionable = [];
+    for (const leave of leaves) {
+      if (!leave.employee) continue;
+      ensureApprovalSteps(leave);
+      const approvers = await getStepApprovers(leave.employee._id);
+      if (canActOnStep(req.user, leave, approvers)) {
+        actionable.push({ ...leave.toObject(), currentStep: getCurrentStep(leave).approver });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { leaves: actionable, count: actionable.length }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leave approvals',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/leaves/approval-chains
+// @desc    Get leave approval chains
+// @access  Private (HR or above)
+router.get('/approval-chains', protect, isHROrAbove, async (req, res) => {
+  try {
+    const chains = await LeaveApprovalChain.find({ isActive: true })
+      .populate('department', 'name')
+      .sort({ department: 1, leaveType: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { chains }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval chains',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/leaves/approval-chains
+// @desc    Create an approval chain for a department and/or leave type
+// @access  Private (HR or above)
+router.post('/approval-chains', protect, isHROrAbove, async (req, res) => {
+  try {
+    const { name, department, leaveType, steps } = req.body;
+
+    const chain = await LeaveApprovalChain.create({
+      name,
+      department: department || null,
+      leaveType: leaveType || null,
+      steps,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval chain created successfully',
+      data: { chain }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An approval chain for this department and leave type already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating approval chain',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/leaves/approval-chains/:id
+// @desc    Update an approval chain (applies to requests submitted afterwards)
+// @access  Private (HR or above)
+router.put('/approval-chains/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const chain = await LeaveApprovalChain.findById(req.params.id);
+
+    if (!chain || !chain.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    ['name', 'department', 'leaveType', 'steps'].forEach(field => {
+      if (req.body[field] !== undefined) chain[field] = req.body[field] || null;
+    });
+    chain.updatedBy = req.user._id;
+    await chain.save();
+
+    res.json({
+      success: true,
+      message: 'Approval chain updated successfully',
+      data: { chain }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An approval chain for this department and leave type already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating approval chain',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/leaves/approval-chains/:id
+// @desc    Delete an approval chain (soft delete)
+// @access  Private (HR or above)
+router.delete('/approval-chains/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const chain = await LeaveApprovalChain.findById(req.params.id);
+
+    if (!chain || !chain.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    chain.isActive = false;
+    chain.updatedBy = req.user._id;
+    await chain.save();
+
+    res.json({
+      success: true,
+      message: 'Approval chain deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting approval chain',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/leaves/:id
 // @desc    Get leave by ID
 // @access  Private
@@ -265,6 +737,7 @@ router.get('/:id', protect, async (req, res) => {
   try {
     const leave = await Leave.findById(req.params.id)
       .populate('employee', 'firstName lastName employeeId department')
+      .populate('delegate', 'firstName lastName employeeId')
       .populate('reviewedBy', 'email');
 
     if (!leave) {
@@ -296,8 +769,9 @@ router.post('/', protect, leaveUpload.single('image'), leaveValidator, async (re
 
     // Explicitly parse dates and calculate totalDays
     // This fixes the 500 error where totalDays was missing or invalid during validation
-    const start = new Date(leaveData.startDate);
-    const end = new Date(leaveData.endDate);
+    const timezone = await getEmployeeTimezone(req.user.employee);
+    const start = parseDate(leaveData.startDate, timezone);
+    const end = parseDate(leaveData.endDate, timezone);
 
     if (isNaN(start.getTime()) || isNaN(end.getTime())) {
       return res.status(400).json({
@@ -306,8 +780,91 @@ router.post('/', protect, leaveUpload.single('image'), leaveValidator, async (re
       });
     }
 
-    const diffTime = Math.abs(end - start);
-    leaveData.totalDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1;
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date cannot be before start date'
+      });
+    }
+
+    // Holidays and weekends are not counted as leave days
+    const { workingDays, excluded } = await countEmployeeWorkingDays(req.user.employee, start, end);
+    if (workingDays === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected dates fall entirely on holidays or weekends',
+        data: { excludedDays: excluded }
+      });
+    }
+
+    // Half-day and hourly leave cover part of one shift and count as a fraction of a day
+    const duration = leaveData.duration || 'full-day';
+    let totalDays = workingDays;
+    let shift;
+    let window;
+    if (duration !== 'full-day') {
+      if (toDateKey(start, timezone) !== toDateKey(end, timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Half-day and hourly leave must start and end on the same day'
+        });
+      }
+      shift = await Shift.getForEmployee(req.user.employee);
+      window = shift.getLeaveWindow(duration, {
+        startTime: leaveData.startTime,
+        hours: Number(leaveData.hours)
+      });
+      if (!window) {
+        return res.status(400).json({
+          success: false,
+          message: `Leave hours must fall within your shift (${shift.startTime} - ${shift.endTime})`
+        });
+      }
+      totalDays = window.days;
+    }
+
+    // Overlaps, policy limits, remaining balance and eligibility
+    const employee = await Employee.findById(req.user.employee)
+      .select('_id firstName lastName gender dateOfJoining timezone')
+      .lean();
+    const { errors, warnings } = await validateLeaveRequest({
+      employee,
+      leaveType: leaveData.leaveType,
+      startDate: start,
+      endDate: end,
+      totalDays,
+      timezone,
+      shift,
+      window,
+      delegate: leaveData.delegate
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map(e => e.message).join('. '),
+        data: { errors, warnings, excludedDays: excluded }
+      });
+    }
+
+    leaveData.startDate = start;
+    leaveData.endDate = end;
+    leaveData.duration = duration;
+    leaveData.totalDays = totalDays;
+    leaveData.approvalSteps = await buildApprovalSteps({
+      employee: employee._id,
+      leaveType: leaveData.leaveType,
+      totalDays
+    });
+    if (window) {
+      leaveData.startTime = window.startTime;
+      leaveData.endTime = window.endTime;
+    }
+    if (duration !== 'hours') {
+      delete leaveData.hours;
+    }
+    if (!leaveData.delegate) {
+      delete leaveData.delegate;
+    }
 
     // If an image was uploaded, add it to attachments
     if (req.file) {
@@ -325,26 +882,36 @@ router.post('/', protect, leaveUpload.single('image'), leaveValidator, async (re
 
     // Emit socket notification for new leave request
     const io = req.app.get('io');
+    const newLeaveRequest = {
+      _id: leave._id,
+      leaveType: leave.leaveType,
+      startDate: leave.startDate,
+      endDate: leave.endDate,
+      duration: leave.duration,
+      totalDays: leave.totalDays,
+      employee: {
+        firstName: employee?.firstName || 'Unknown',
+        lastName: employee?.lastName || 'Employee'
+      }
+    };
     if (io) {
-      // Find employee details for the notification
-      const employee = await Employee.findById(req.user.employee);
-      io.emit('newLeaveRequest', {
-        _id: leave._id,
-        leaveType: leave.leaveType,
-        startDate: leave.startDate,
-        endDate: leave.endDate,
-        totalDays: leave.totalDays,
-        employee: {
-          firstName: employee?.firstName || 'Unknown',
-          lastName: employee?.lastName || 'Employee'
-        }
-      });
+      io.emit('newLeaveRequest', newLeaveRequest);
     }
 
+    // Stored for whoever has to approve the first step
+    const approvers = await getStepApprovers(employee._id);
+    await notify(io, await getStepUserIds(leave, approvers), {
+      category: 'leave',
+      type: 'newLeaveRequest',
+      title: 'New leave request',
+      message: `${newLeaveRequest.employee.firstName} ${newLeaveRequest.employee.lastName} requested ${leave.totalDays} day(s) of ${leave.leaveType} leave from ${toDateKey(leave.startDate, timezone)}`,
+      data: newLeaveRequest
+    });
+
     res.status(201).json({
       success: true,
       message: 'Leave request submitted successfully',
-      data: { leave }
+      data: { leave, excludedDays: excluded, warnings }
     });
   } catch (error) {
     console.error('[Leave Create Error]:', error);
@@ -357,9 +924,9 @@ router.post('/', protect, leaveUpload.single('image'), leaveValidator, async (re
 });
 
 // @route   PUT /api/leaves/:id/approve
-// @desc    Approve leave request
-// @access  Private (HR or above)
-router.put('/:id/approve', protect, isHROrAbove, async (req, res) => {
+// @desc    Approve the current step of a leave request (final step approves the leave)
+// @access  Private (approver of the current step)
+router.put('/:id/approve', protect, async (req, res) => {
   try {
     const leave = await Leave.findById(req.params.id);
 
@@ -377,19 +944,83 @@ router.put('/:id/approve', protect, isHROrAbove, async (req, res) => {
       });
     }
 
-    // Approve the leave - balance is calculated dynamically from approved leaves
-    leave.status = 'approved';
-    leave.reviewedBy = req.user._id;
-    leave.reviewedOn = new Date();
-    leave.reviewerComments = req.body.comments;
+    ensureApprovalSteps(leave);
+    const step = getCurrentStep(leave);
+    if (!step) {
+      return res.status(400).json({
+        success: false,
+        message: 'No approval step is pending'
+      });
+    }
+
+    const approvers = await getStepApprovers(leave.employee);
+    if (!canActOnStep(req.user, leave, approvers)) {
+      return res.status(403).json({
+        success: false,
+        message: hasApprovedEarlierStep(leave, req.user)
+          ? 'You already approved an earlier step of this leave request'
+          : `This leave request is waiting for ${APPROVER_LABELS[step.approver]} approval`
+      });
+    }
+
+    // Approving still goes ahead, but the approver is told about staffing gaps
+    const warnings = await checkLeaveStaffing(leave);
+
+    step.status = 'approved';
+    step.actedBy = req.user._id;
+    step.actedOn = new Date();
+    step.comments = req.body.comments;
+
+    const nextStep = getCurrentStep(leave);
+    if (!nextStep) {
+      leave.status = 'approved';
+      leave.reviewedBy = req.user._id;
+      leave.reviewedOn = step.actedOn;
+      leave.reviewerComments = req.body.comments;
+    }
     await leave.save();
 
+    if (nextStep) {
+      // Stored for whoever has to approve the next step
+      const employee = await Employee.findById(leave.employee).select('firstName lastName timezone').lean();
+      const timezone = await getEmployeeTimezone(employee || leave.employee);
+      const leaveRequest = {
+        _id: leave._id,
+        leaveType: leave.leaveType,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        duration: leave.duration,
+        totalDays: leave.totalDays,
+        employee: {
+          firstName: employee?.firstName || 'Unknown',
+          lastName: employee?.lastName || 'Employee'
+        }
+      };
+      await notify(req.app.get('io'), await getStepUserIds(leave, approvers), {
+        category: 'leave',
+        type: 'newLeaveRequest',
+        title: 'Leave request awaiting your approval',
+        message: `${leaveRequest.employee.firstName} ${leaveRequest.employee.lastName}'s ${leave.totalDays} day(s) of ${leave.leaveType} leave from ${toDateKey(leave.startDate, timezone)} was approved by the ${APPROVER_LABELS[step.approver]} and needs ${APPROVER_LABELS[nextStep.approver]} approval`,
+        data: leaveRequest
+      });
+
+      return res.json({
+        success: true,
+        message: `Step approved. Waiting for ${APPROVER_LABELS[nextStep.approver]} approval`,
+        data: { leave, warnings }
+      });
+    }
+
+    // Deduct from the leave ledger and show the employee as on leave in meetings
+    await recordLeaveDeduction(leave);
+    await updateMeetingsForLeave(leave);
+
     console.log(`[Leave Approval] Approved ${leave.totalDays} days of ${leave.leaveType} leave for employee ${leave.employee}`);
 
     res.json({
       success: true,
       message: 'Leave approved successfully',
-      data: { leave }
+      data: { leave, warnings }
     });
   } catch (error) {
     res.status(500).json({
@@ -401,9 +1032,9 @@ router.put('/:id/approve', protect, isHROrAbove, async (req, res) => {
 });
 
 // @route   PUT /api/leaves/:id/reject
-// @desc    Reject leave request
-// @access  Private (HR or above)
-router.put('/:id/reject', protect, isHROrAbove, async (req, res) => {
+// @desc    Reject leave request at the current step (reason required)
+// @access  Private (approver of the current step)
+router.put('/:id/reject', protect, async (req, res) => {
   try {
     const leave = await Leave.findById(req.params.id);
 
@@ -421,10 +1052,42 @@ router.put('/:id/reject', protect, isHROrAbove, async (req, res) => {
       });
     }
 
+    const reason = req.body.reason || req.body.comments;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a leave request'
+      });
+    }
+
+    ensureApprovalSteps(leave);
+    const step = getCurrentStep(leave);
+    if (!step) {
+      return res.status(400).json({
+        success: false,
+        message: 'No approval step is pending'
+      });
+    }
+
+    const approvers = await getStepApprovers(leave.employee);
+    if (!canActOnStep(req.user, leave, approvers)) {
+      return res.status(403).json({
+        success: false,
+        message: hasApprovedEarlierStep(leave, req.user)
+          ? 'You already approved an earlier step of this leave request'
+          : `This leave request is waiting for ${APPROVER_LABELS[step.approver]} approval`
+      });
+    }
+
+    step.status = 'rejected';
+    step.actedBy = req.user._id;
+    step.actedOn = new Date();
+    step.comments = reason;
+
     leave.status = 'rejected';
     leave.reviewedBy = req.user._id;
-    leave.reviewedOn = new Date();
-    leave.reviewerComments = req.body.comments || req.body.reason;
+    leave.reviewedOn = step.actedOn;
+    leave.reviewerComments = reason;
     await leave.save();
 
     res.json({
@@ -471,24 +1134,16 @@ router.put('/:id/cancel', protect, async (req, res) => {
       });
     }
 
-    // If was approved, restore leave balance
-    if (leave.status === 'approved') {
-      const leaveTypeMap = {
-        annual: 'annual',
-        sick: 'sick',
-        casual: 'casual'
-      };
-
-      if (leaveTypeMap[leave.leaveType]) {
-        await Employee.findByIdAndUpdate(leave.employee, {
-          $inc: { [`leaveBalance.${leaveTypeMap[leave.leaveType]}`]: leave.totalDays }
-        });
-      }
-    }
-
+    const wasApproved = leave.status === 'approved';
     leave.status = 'cancelled';
     await leave.save();
 
+    // Give approved days back through the ledger and reopen meeting invites
+    if (wasApproved) {
+      await recordLeaveReversal(leave, req.user._id);
+      await updateMeetingsForLeave(leave, false);
+    }
+
     res.json({
       success: true,
       message: 'Leave cancelled successfully',
@@ -508,7 +1163,7 @@ router.put('/:id/cancel', protect, async (req, res) => {
 // @access  Private (HR or above)
 router.post('/policy', protect, isHROrAbove, async (req, res) => {
   try {
-    const { leaveType, yearlyLimit, description, isActive } = req.body;
+    const { leaveType, yearlyLimit } = req.body;
 
     if (!leaveType || yearlyLimit === undefined) {
       return res.status(400).json({
@@ -522,18 +1177,20 @@ router.post('/policy', protect, isHROrAbove, async (req, res) => {
 
     if (policy) {
       // Update existing policy
-      policy.yearlyLimit = yearlyLimit;
-      policy.description = description || policy.description;
-      policy.isActive = isActive !== undefined ? isActive : policy.isActive;
+      POLICY_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) policy[field] = req.body[field];
+      });
       policy.updatedBy = req.user._id;
       await policy.save();
     } else {
       // Create new policy
+      const policyData = {};
+      POLICY_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) policyData[field] = req.body[field];
+      });
       policy = await LeavePolicy.create({
+        ...policyData,
         leaveType,
-        yearlyLimit,
-        description: description || '',
-        isActive: isActive !== undefined ? isActive : true,
         createdBy: req.user._id,
         updatedBy: req.user._id
       });
@@ -564,8 +1221,6 @@ router.post('/policy', protect, isHROrAbove, async (req, res) => {
 // @access  Private (HR or above)
 router.put('/policy/:id', protect, isHROrAbove, async (req, res) => {
   try {
-    const { yearlyLimit, description, isActive } = req.body;
-
     const policy = await LeavePolicy.findById(req.params.id);
 
     if (!policy) {
@@ -575,9 +1230,9 @@ router.put('/policy/:id', protect, isHROrAbove, async (req, res) => {
       });
     }
 
-    if (yearlyLimit !== undefined) policy.yearlyLimit = yearlyLimit;
-    if (description !== undefined) policy.description = description;
-    if (isActive !== undefined) policy.isActive = isActive;
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
     policy.updatedBy = req.user._id;
 
     await policy.save();
@@ -3,6 +3,8 @@ const Meeting = require('../models/Meeting');
 const User = require('../models/User');
 const { protect, isHROrAbove } = require('../middleware/auth');
 const { meetingValidator } = require('../middleware/validators');
+const { markAttendeesOnLeave } = require('../utils/delegation');
+const { notify } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -187,24 +189,41 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private (HR or above)
 router.post('/', protect, isHROrAbove, meetingValidator, async (req, res) => {
   try {
+    // Invitees on leave during the meeting are shown as 'on-leave'
+    const attendees = await markAttendeesOnLeave(
+      req.body.attendees,
+      new Date(req.body.startTime),
+      new Date(req.body.endTime)
+    );
+
     const meeting = await Meeting.create({
       ...req.body,
+      attendees,
       organizer: req.user._id
     });
 
     // Emit socket event for real-time notification
     const io = req.app.get('io');
-    if (io && req.body.attendees) {
+    if (req.body.attendees) {
       // Find all users associated with these employees
       const employeeIds = req.body.attendees.map(a => a.employee);
-      User.find({ employee: { $in: employeeIds } }).select('_id employee').then(users => {
+      const users = await User.find({ employee: { $in: employeeIds } }).select('_id employee').lean();
+      const newMeeting = {
+        id: meeting._id,
+        title: meeting.title,
+        startTime: meeting.startTime
+      };
+      if (io) {
         users.forEach(user => {
-          io.to(user._id.toString()).emit('newMeeting', {
-            id: meeting._id,
-            title: meeting.title,
-            startTime: meeting.startTime
-          });
+          io.to(user._id.toString()).emit('newMeeting', newMeeting);
         });
+      }
+      await notify(io, users.map(user => user._id), {
+        category: 'meeting',
+        type: 'newMeeting',
+        title: `Meeting invite: ${meeting.title}`,
+        data: newMeeting,
+        exclude: req.user._id
       });
     }
 
@@ -247,9 +266,18 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
+    const updateData = { ...req.body };
+    if (updateData.attendees) {
+      updateData.attendees = await markAttendeesOnLeave(
+        updateData.attendees,
+        new Date(updateData.startTime || meeting.startTime),
+        new Date(updateData.endTime || meeting.endTime)
+      );
+    }
+
     const updatedMeeting = await Meeting.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     ).populate('organizer', 'email')
       .populate('attendees.employee', 'firstName lastName');
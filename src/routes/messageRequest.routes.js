@@ -3,6 +3,7 @@ const MessageRequest = require('../models/MessageRequest');
 const Chat = require('../models/Chat');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -204,15 +205,23 @@ router.post('/', protect, async (req, res) => {
 
     // Emit socket event to notify boss
     const io = req.app.get('io');
+    const newMessageRequest = {
+      requestId: messageRequest._id.toString(),
+      from: {
+        _id: req.user._id.toString(),
+        email: req.user.email
+      }
+    };
     if (io) {
-      io.to(to).emit('newMessageRequest', {
-        requestId: messageRequest._id.toString(),
-        from: {
-          _id: req.user._id.toString(),
-          email: req.user.email
-        }
-      });
+      io.to(to).emit('newMessageRequest', newMessageRequest);
     }
+    await notify(io, [to], {
+      category: 'chat',
+      type: 'newMessageRequest',
+      title: 'New message request',
+      message: `${req.user.email} would like to message you`,
+      data: newMessageRequest
+    });
 
     res.status(201).json({
       success: true,
@@ -294,12 +303,20 @@ router.put('/:id/accept', protect, async (req, res) => {
 
     // Emit socket event to notify requester
     const io = req.app.get('io');
+    const messageRequestAccepted = {
+      requestId: messageRequest._id.toString(),
+      chatId: chat._id.toString()
+    };
     if (io) {
-      io.to(messageRequest.from.toString()).emit('messageRequestAccepted', {
-        requestId: messageRequest._id.toString(),
-        chatId: chat._id.toString()
-      });
+      io.to(messageRequest.from.toString()).emit('messageRequestAccepted', messageRequestAccepted);
     }
+    await notify(io, [messageRequest.from], {
+      category: 'chat',
+      type: 'messageRequestAccepted',
+      title: 'Message request accepted',
+      message: `${req.user.email} accepted your message request`,
+      data: messageRequestAccepted
+    });
 
     res.json({
       success: true,
@@ -352,11 +369,19 @@ router.put('/:id/reject', protect, async (req, res) => {
 
     // Emit socket event to notify requester
     const io = req.app.get('io');
+    const messageRequestRejected = {
+      requestId: messageRequest._id.toString()
+    };
     if (io) {
-      io.to(messageRequest.from.toString()).emit('messageRequestRejected', {
-        requestId: messageRequest._id.toString()
-      });
+      io.to(messageRequest.from.toString()).emit('messageRequestRejected', messageRequestRejected);
     }
+    await notify(io, [messageRequest.from], {
+      category: 'chat',
+      type: 'messageRequestRejected',
+      title: 'Message request declined',
+      message: `${req.user.email} declined your message request`,
+      data: messageRequestRejected
+    });
 
     res.json({
       success: true,
@@ -2,6 +2,7 @@ const express = require('express');
 const Notice = require('../models/Notice');
 const { protect, isHROrAbove, isBossOrAdmin } = require('../middleware/auth');
 const { noticeValidator } = require('../middleware/validators');
+const { notify, getNoticeRecipients } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -150,14 +151,22 @@ router.post('/', protect, isHROrAbove, noticeValidator, async (req, res) => {
 
     // Emit socket event for real-time notification
     const io = req.app.get('io');
+    const newNotice = {
+      id: notice._id,
+      title: notice.title,
+      category: notice.category,
+      priority: notice.priority
+    };
     if (io) {
-      io.emit('newNotice', {
-        id: notice._id,
-        title: notice.title,
-        category: notice.category,
-        priority: notice.priority
-      });
+      io.emit('newNotice', newNotice);
     }
+    await notify(io, await getNoticeRecipients(notice), {
+      category: 'notice',
+      type: 'newNotice',
+      title: notice.title,
+      data: newNotice,
+      exclude: req.user._id
+    });
 
     res.status(201).json({
       success: true,
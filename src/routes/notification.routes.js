@@ -0,0 +1,199 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { NOTIFICATION_CATEGORIES } = require('../utils/notifications');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get current user's notifications, newest first
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { category, unread, page = 1, limit = 20 } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (category) query.category = category;
+    if (unread === 'true') query.read = false;
+
+    const notifications = await Notification.find(query)
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ recipient: req.user._id, read: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications, in total and per category
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const counts = await Notification.aggregate([
+      { $match: { recipient: req.user._id, read: false } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const byCategory = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    const count = counts.reduce((total, { count: categoryCount }) => total + categoryCount, 0);
+
+    res.json({
+      success: true,
+      data: { count, byCategory }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread count',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all (or one category of) current user's notifications as read
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const category = req.body.category || req.query.category;
+
+    const query = { recipient: req.user._id, read: false };
+    if (category) query.category = category;
+
+    const result = await Notification.updateMany(query, { read: true, readAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: { modifiedCount: result.modifiedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get current user's muted notification categories
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences').lean();
+
+    res.json({
+      success: true,
+      data: {
+        muted: user?.notificationPreferences?.muted || [],
+        categories: NOTIFICATION_CATEGORIES
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Set muted notification categories
+// @access  Private
+router.put('/preferences', protect, async (req, res) => {
+  try {
+    const { muted } = req.body;
+
+    if (!Array.isArray(muted) || !muted.every(category => NOTIFICATION_CATEGORIES.includes(category))) {
+      return res.status(400).json({
+        success: false,
+        message: `Muted must be a list of categories: ${NOTIFICATION_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'notificationPreferences.muted': [...new Set(muted)] },
+      { new: true }
+    ).select('notificationPreferences').lean();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        muted: user.notificationPreferences.muted,
+        categories: NOTIFICATION_CATEGORIES
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notification as read',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,534 @@
+const express = require('express');
+const PayrollRun = require('../models/PayrollRun');
+const Payslip = require('../models/Payslip');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const { protect, isHROrAbove, isBossOrAdmin } = require('../middleware/auth');
+const { getOrgTimezone, getZonedParts, getEmployeeTimezone } = require('../utils/timezone');
+const {
+  getPayrollConfig,
+  getMonthPeriod,
+  countLeaveDaysByType,
+  calculatePayrollRun
+} = require('../utils/payroll');
+const { renderPayslipPdf } = require('../utils/payslipPdf');
+const { notify } = require('../utils/notifications');
+
+const router = express.Router();
+
+const PUBLISHED_STATUSES = ['approved', 'locked'];
+
+// HR or above see every payslip; employees only their own once published
+const canViewPayslip = (user, payslip) => {
+  const isHR = ['hr', 'manager', 'boss', 'admin'].includes(user.role);
+  const employeeId = (payslip.employee._id || payslip.employee).toString();
+  const isOwner = user.employee && (user.employee._id || user.employee).toString() === employeeId;
+  return isHR || (isOwner && PUBLISHED_STATUSES.includes(payslip.status));
+};
+
+// @route   GET /api/payroll/my
+// @desc    Get current user's published payslips
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const { year } = req.query;
+
+    const query = {
+      employee: req.user.employee,
+      status: { $in: PUBLISHED_STATUSES }
+    };
+    if (year) query.year = parseInt(year);
+
+    const payslips = await Payslip.find(query)
+      .select('-__v')
+      .sort({ year: -1, month: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { payslips }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payslips',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payroll/payslips/:id
+// @desc    Get a payslip (own published payslip, or any for HR)
+// @access  Private
+router.get('/payslips/:id', protect, async (req, res) => {
+  try {
+    const payslip = await Payslip.findById(req.params.id)
+      .populate('employee', 'firstName lastName employeeId department designation')
+      .populate('payrollRun', 'year month status periodStart periodEnd');
+
+    if (!payslip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payslip not found'
+      });
+    }
+
+    if (!canViewPayslip(req.user, payslip)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payslip'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { payslip }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payslip',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payroll/payslips/:id/pdf
+// @desc    Download a payslip as PDF
+// @access  Private (own published payslip, or HR or above)
+router.get('/payslips/:id/pdf', protect, async (req, res) => {
+  try {
+    const payslip = await Payslip.findById(req.params.id)
+      .populate({
+        path: 'employee',
+        select: 'firstName lastName employeeId designation department bankDetails timezone',
+        populate: { path: 'department', select: 'name' }
+      })
+      .lean();
+
+    if (!payslip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payslip not found'
+      });
+    }
+
+    if (!canViewPayslip(req.user, payslip)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payslip'
+      });
+    }
+
+    const employee = payslip.employee;
+    const timezone = await getEmployeeTimezone(employee);
+    const { start, end } = getMonthPeriod(payslip.year, payslip.month, timezone);
+
+    const [settings, daysWorked, leaveDays] = await Promise.all([
+      Settings.getSettings(),
+      Attendance.countDocuments({
+        employee: employee._id,
+        date: { $gte: start, $lte: end },
+        'checkIn.time': { $exists: true }
+      }),
+      countLeaveDaysByType(employee, start, end, timezone)
+    ]);
+
+    const pdf = await renderPayslipPdf({
+      payslip,
+      employee,
+      companyName: settings.companyName,
+      attendance: { daysWorked },
+      leaveDays
+    });
+
+    const fileName = `payslip-${employee.employeeId || employee._id}-${payslip.year}-${String(payslip.month).padStart(2, '0')}.pdf`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating payslip PDF',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payroll/runs
+// @desc    Get pay runs
+// @access  Private (HR or above)
+router.get('/runs', protect, isHROrAbove, async (req, res) => {
+  try {
+    const { year, status, page = 1, limit = 12 } = req.query;
+
+    const query = {};
+    if (year) query.year = parseInt(year);
+    if (status) query.status = status;
+
+    const runs = await PayrollRun.find(query)
+      .populate('createdBy', 'email')
+      .populate('approvedBy', 'email')
+      .populate('lockedBy', 'email')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .sort({ year: -1, month: -1 })
+      .lean();
+
+    const total = await PayrollRun.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pay runs',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payroll/runs/:id
+// @desc    Get a pay run with its payslips
+// @access  Private (HR or above)
+router.get('/runs/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id)
+      .populate('createdBy', 'email')
+      .populate('approvedBy', 'email')
+      .populate('lockedBy', 'email')
+      .lean();
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay run not found'
+      });
+    }
+
+    const payslips = await Payslip.find({ payrollRun: run._id })
+      .populate({
+        path: 'employee',
+        select: 'firstName lastName employeeId department designation',
+        populate: { path: 'department', select: 'name' }
+      })
+      .select('-__v')
+      .lean();
+
+    res.json({
+      success: true,
+      data: { run, payslips }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pay run',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/payroll/runs
+// @desc    Create a draft pay run for a month and compute payslips
+// @access  Private (HR or above)
+router.post('/runs', protect, isHROrAbove, async (req, res) => {
+  try {
+    const year = parseInt(req.body.year);
+    const month = parseInt(req.body.month);
+
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid year and month (1-12) are required'
+      });
+    }
+
+    const orgTimezone = await getOrgTimezone();
+    const today = getZonedParts(new Date(), orgTimezone);
+    if (year > today.year || (year === today.year && month > today.month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot run payroll for a future month'
+      });
+    }
+
+    const existing = await PayrollRun.findOne({ year, month });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A pay run for ${month}/${year} already exists`,
+        data: { runId: existing._id }
+      });
+    }
+
+    const { start, end } = getMonthPeriod(year, month, orgTimezone);
+    const run = await PayrollRun.create({
+      year,
+      month,
+      periodStart: start,
+      periodEnd: end,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+
+    const config = getPayrollConfig(await Settings.getSettings());
+    await calculatePayrollRun(run, { config, orgTimezone });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pay run created',
+      data: { run }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating pay run',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/payroll/runs/:id/recalculate
+// @desc    Recompute payslips of a draft pay run
+// @access  Private (HR or above)
+router.post('/runs/:id/recalculate', protect, isHROrAbove, async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay run not found'
+      });
+    }
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft pay runs can be recalculated'
+      });
+    }
+
+    const [settings, orgTimezone] = await Promise.all([
+      Settings.getSettings(),
+      getOrgTimezone()
+    ]);
+    await calculatePayrollRun(run, { config: getPayrollConfig(settings), orgTimezone });
+
+    res.json({
+      success: true,
+      message: 'Pay run recalculated',
+      data: { run }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error recalculating pay run',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payroll/runs/:id/approve
+// @desc    Approve a draft pay run and publish its payslips
+// @access  Private (Boss/Admin only)
+router.put('/runs/:id/approve', protect, isBossOrAdmin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay run not found'
+      });
+    }
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft pay runs can be approved'
+      });
+    }
+
+    run.status = 'approved';
+    run.approvedBy = req.user._id;
+    run.approvedOn = new Date();
+    await run.save();
+    await Payslip.updateMany({ payrollRun: run._id }, { status: 'approved' });
+
+    // Let each employee know their payslip is available
+    const io = req.app.get('io');
+    const payslips = await Payslip.find({ payrollRun: run._id }).select('employee netPay currency').lean();
+    const users = await User.find({ employee: { $in: payslips.map(p => p.employee) } }).select('_id employee').lean();
+    const userByEmployee = new Map(users.map(u => [u.employee.toString(), u._id.toString()]));
+    for (const payslip of payslips) {
+      const userId = userByEmployee.get(payslip.employee.toString());
+      if (!userId) continue;
+      const payslipPublished = {
+        _id: payslip._id,
+        year: run.year,
+        month: run.month,
+        netPay: payslip.netPay,
+        currency: payslip.currency
+      };
+      if (io) {
+        io.to(userId).emit('payslipPublished', payslipPublished);
+      }
+      await notify(io, [userId], {
+        category: 'payroll',
+        type: 'payslipPublished',
+        title: `Payslip for ${run.year}-${String(run.month).padStart(2, '0')} is available`,
+        data: payslipPublished
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pay run approved',
+      data: { run }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error approving pay run',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payroll/runs/:id/reopen
+// @desc    Move an approved (not locked) pay run back to draft
+// @access  Private (Boss/Admin only)
+router.put('/runs/:id/reopen', protect, isBossOrAdmin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay run not found'
+      });
+    }
+
+    if (run.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: run.status === 'locked'
+          ? 'Locked pay runs cannot be reopened'
+          : 'Only approved pay runs can be reopened'
+      });
+    }
+
+    run.status = 'draft';
+    run.approvedBy = undefined;
+    run.approvedOn = undefined;
+    await run.save();
+    await Payslip.updateMany({ payrollRun: run._id }, { status: 'draft' });
+
+    res.json({
+      success: true,
+      message: 'Pay run reopened',
+      data: { run }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reopening pay run',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/payroll/runs/:id/lock
+// @desc    Lock an approved pay run (final, no further changes)
+// @access  Private (Boss/Admin only)
+router.put('/runs/:id/lock', protect, isBossOrAdmin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay run not found'
+      });
+    }
+
+    if (run.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved pay runs can be locked'
+      });
+    }
+
+    run.status = 'locked';
+    run.lockedBy = req.user._id;
+    run.lockedOn = new Date();
+    await run.save();
+    await Payslip.updateMany({ payrollRun: run._id }, { status: 'locked' });
+
+    res.json({
+      success: true,
+      message: 'Pay run locked',
+      data: { run }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error locking pay run',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/payroll/runs/:id
+// @desc    Delete a draft pay run
+// @access  Private (HR or above)
+router.delete('/runs/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay run not found'
+      });
+    }
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft pay runs can be deleted'
+      });
+    }
+
+    await Payslip.deleteMany({ payrollRun: run._id });
+    await run.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Pay run deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting pay run',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
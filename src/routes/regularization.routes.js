@@ -0,0 +1,555 @@
+const express = require('express');
+const Regularization = require('../models/Regularization');
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { regularizationUpload } = require('../config/upload');
+const { parseDate, startOfDay, addDays, getEmployeeTimezone } = require('../utils/timezone');
+const { findPartialLeaves, getExpectedShiftTimes, applyPartialLeaveStatus } = require('../utils/partialLeave');
+const { notify, getUserIdsByRole, getUserIdsForEmployees } = require('../utils/notifications');
+
+const router = express.Router();
+
+const HR_ROLES = ['hr', 'manager', 'boss', 'admin'];
+
+// Which requested times each correction type needs
+const REQUIRED_TIMES = {
+  'missed-check-in': ['requestedCheckIn'],
+  'wrong-check-in': ['requestedCheckIn'],
+  'missed-check-out': ['requestedCheckOut'],
+  'wrong-check-out': ['requestedCheckOut'],
+  other: []
+};
+
+const snapshot = (attendance) => (attendance ? {
+  checkIn: attendance.checkIn?.time,
+  checkOut: attendance.checkOut?.time,
+  status: attendance.status,
+  workingHours: attendance.workingHours,
+  overtime: attendance.overtime
+} : undefined);
+
+// HR or above, or the employee's direct manager
+const canReview = async (user, employeeId) => {
+  if (HR_ROLES.includes(user.role)) return true;
+  if (!user.employee) return false;
+  const employee = await Employee.findById(employeeId).select('manager').lean();
+  return !!employee?.manager && employee.manager.toString() === (user.employee._id || user.employee).toString();
+};
+
+// Loads a pending request the user may review, or sends the error response
+const findRegularizationForReview = async (req, res) => {
+  const regularization = await Regularization.findById(req.params.id);
+
+  if (!regularization) {
+    res.status(404).json({
+      success: false,
+      message: 'Regularization request not found'
+    });
+    return null;
+  }
+
+  const userEmployeeId = req.user.employee && (req.user.employee._id || req.user.employee).toString();
+  if (regularization.employee.toString() === userEmployeeId) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot review your own regularization request'
+    });
+    return null;
+  }
+
+  if (!(await canReview(req.user, regularization.employee))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. HR privileges or being the employee\'s manager required.'
+    });
+    return null;
+  }
+
+  if (regularization.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: 'Regularization request has already been processed'
+    });
+    return null;
+  }
+
+  return regularization;
+};
+
+// Apply an approved request to the attendance row and record the before/after audit
+const applyRegularization = async (regularization, reviewerId) => {
+  let attendance = await Attendance.findOne({
+    employee: regularization.employee,
+    date: regularization.date
+  });
+  const before = snapshot(attendance);
+  const attendanceCreated = !attendance;
+
+  if (!attendance) {
+    attendance = new Attendance({
+      employee: regularization.employee,
+      date: regularization.date
+    });
+  }
+
+  const [shift, timezone] = await Promise.all([
+    attendance.shift
+      ? Shift.findById(attendance.shift).then(s => s || Shift.getForEmployee(regularization.employee))
+      : Shift.getForEmployee(regularization.employee),
+    getEmployeeTimezone(regularization.employee)
+  ]);
+
+  if (regularization.requestedCheckIn) {
+    attendance.set('checkIn.time', regularization.requestedCheckIn);
+  }
+  if (regularization.requestedCheckOut) {
+    attendance.set('checkOut.time', regularization.requestedCheckOut);
+  }
+
+  // Same status rules as check-in / check-out, including half-day / hourly leave
+  const partialLeaves = await findPartialLeaves(regularization.employee, attendance.date, timezone);
+  const expected = getExpectedShiftTimes(shift, partialLeaves);
+  if (attendance.checkOut?.time) {
+    attendance.status = applyPartialLeaveStatus(
+      shift.getCheckOutStatus(attendance.checkOut.time, attendance.date, timezone, expected),
+      partialLeaves
+    );
+  } else if (attendance.checkIn?.time) {
+    attendance.status = applyPartialLeaveStatus(
+      shift.getCheckInStatus(attendance.checkIn.time, timezone, expected),
+      partialLeaves
+    );
+  }
+  attendance.leaves = partialLeaves.map(leave => leave._id);
+
+  attendance.shift = shift._id;
+  attendance.approvedBy = reviewerId;
+  attendance.needsReview = false;
+  attendance.regularizations.push(regularization._id);
+  await attendance.save();
+
+  regularization.attendance = attendance._id;
+  regularization.audit = {
+    before,
+    after: snapshot(attendance),
+    attendanceCreated
+  };
+
+  return attendance;
+};
+
+// Let the employee know their request was reviewed
+const notifyEmployee = async (req, regularization) => {
+  const io = req.app.get('io');
+  const employeeUser = await User.findOne({ employee: regularization.employee }).select('_id');
+  if (!employeeUser) return;
+  const regularizationReviewed = {
+    _id: regularization._id,
+    date: regularization.date,
+    type: regularization.type,
+    status: regularization.status,
+    reviewerComments: regularization.reviewerComments
+  };
+  if (io) {
+    io.to(employeeUser._id.toString()).emit('regularizationReviewed', regularizationReviewed);
+  }
+  await notify(io, [employeeUser._id], {
+    category: 'attendance',
+    type: 'regularizationReviewed',
+    title: `Attendance correction ${regularization.status}`,
+    message: regularization.reviewerComments,
+    data: regularizationReviewed
+  });
+};
+
+// @route   GET /api/regularizations
+// @desc    Get regularization requests (HR: all, managers: their direct reports)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, employee, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (HR_ROLES.includes(req.user.role)) {
+      if (employee) query.employee = employee;
+    } else {
+      const reports = await Employee.find({
+        manager: req.user.employee?._id || req.user.employee
+      }).select('_id').lean();
+      query.employee = { $in: reports.map(r => r._id) };
+    }
+    if (status) query.status = status;
+
+    const regularizations = await Regularization.find(query)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('reviewedBy', 'email')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const total = await Regularization.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        regularizations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching regularization requests',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/regularizations/my
+// @desc    Get current user's regularization requests
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const regularizations = await Regularization.find({ employee: req.user.employee })
+      .populate('reviewedBy', 'email')
+      .select('-__v')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { regularizations }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching regularization requests',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/regularizations/:id
+// @desc    Get regularization request by ID
+// @access  Private (owner, their manager, or HR or above)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const regularization = await Regularization.findById(req.params.id)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('reviewedBy', 'email');
+
+    if (!regularization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regularization request not found'
+      });
+    }
+
+    const userEmployeeId = req.user.employee && (req.user.employee._id || req.user.employee).toString();
+    const isOwner = regularization.employee._id.toString() === userEmployeeId;
+    if (!isOwner && !(await canReview(req.user, regularization.employee._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this request'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { regularization }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching regularization request',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/regularizations
+// @desc    Submit an attendance correction for a shift date
+// @access  Private
+router.post('/', protect, regularizationUpload.single('attachment'), async (req, res) => {
+  try {
+    const { date, type, requestedCheckIn, requestedCheckOut, reason } = req.body;
+    const employeeId = req.user.employee?._id || req.user.employee;
+
+    if (!employeeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee record not found'
+      });
+    }
+
+    if (!date || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift date and reason are required'
+      });
+    }
+
+    if (!REQUIRED_TIMES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${Object.keys(REQUIRED_TIMES).join(', ')}`
+      });
+    }
+
+    const missing = REQUIRED_TIMES[type].filter(field => !req.body[field]);
+    if (missing.length > 0 || (!requestedCheckIn && !requestedCheckOut)) {
+      return res.status(400).json({
+        success: false,
+        message: missing.length > 0
+          ? `${missing.join(' and ')} is required for a ${type} request`
+          : 'Provide the corrected check-in and/or check-out time'
+      });
+    }
+
+    const [shift, timezone] = await Promise.all([
+      Shift.getForEmployee(employeeId),
+      getEmployeeTimezone(employeeId)
+    ]);
+
+    const shiftDate = startOfDay(parseDate(date, timezone), timezone);
+    const checkIn = requestedCheckIn ? new Date(requestedCheckIn) : undefined;
+    const checkOut = requestedCheckOut ? new Date(requestedCheckOut) : undefined;
+
+    if (isNaN(shiftDate.getTime()) || (checkIn && isNaN(checkIn.getTime())) || (checkOut && isNaN(checkOut.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date or time'
+      });
+    }
+
+    if (shiftDate > shift.getShiftDate(new Date(), timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot request a correction for a future shift'
+      });
+    }
+
+    // Requested times must fall inside that shift's day (window opening → next opening)
+    const windowStart = shift.getTimeOnShift(shiftDate, shift.getDeadZone().end, timezone);
+    const windowEnd = addDays(windowStart, 1, timezone);
+    const outsideShift = [checkIn, checkOut].some(t => t && (t < windowStart || t >= windowEnd));
+    if (outsideShift) {
+      return res.status(400).json({
+        success: false,
+        message: 'Requested times must fall within the selected shift'
+      });
+    }
+
+    const attendance = await Attendance.findOne({ employee: employeeId, date: shiftDate });
+    const effectiveCheckIn = checkIn || attendance?.checkIn?.time;
+    const effectiveCheckOut = checkOut || attendance?.checkOut?.time;
+    if (effectiveCheckIn && effectiveCheckOut && effectiveCheckOut <= effectiveCheckIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out must be after check-in'
+      });
+    }
+    if (checkOut && !effectiveCheckIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no check-in for this shift. Include the check-in time as well.'
+      });
+    }
+
+    const existing = await Regularization.findOne({
+      employee: employeeId,
+      date: shiftDate,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending correction for this shift'
+      });
+    }
+
+    const regularizationData = {
+      employee: employeeId,
+      date: shiftDate,
+      attendance: attendance?._id,
+      type,
+      requestedCheckIn: checkIn,
+      requestedCheckOut: checkOut,
+      reason
+    };
+
+    if (req.file) {
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      regularizationData.attachments = [{
+        name: req.file.originalname,
+        url: `${baseUrl}/uploads/regularizations/${req.file.filename}`
+      }];
+    }
+
+    const regularization = await Regularization.create(regularizationData);
+
+    // Emit socket notification for new regularization request
+    const io = req.app.get('io');
+    const employee = await Employee.findById(employeeId);
+    const newRegularizationRequest = {
+      _id: regularization._id,
+      type: regularization.type,
+      date: regularization.date,
+      requestedCheckIn: regularization.requestedCheckIn,
+      requestedCheckOut: regularization.requestedCheckOut,
+      employee: {
+        firstName: employee?.firstName || 'Unknown',
+        lastName: employee?.lastName || 'Employee'
+      }
+    };
+    if (io) {
+      io.emit('newRegularizationRequest', newRegularizationRequest);
+    }
+
+    // Stored for everyone who can review it: HR or above and the employee's manager
+    const reviewers = [
+      ...await getUserIdsByRole(HR_ROLES),
+      ...(employee?.manager ? await getUserIdsForEmployees([employee.manager]) : [])
+    ];
+    await notify(io, reviewers, {
+      category: 'attendance',
+      type: 'newRegularizationRequest',
+      title: 'New attendance correction request',
+      message: `${newRegularizationRequest.employee.firstName} ${newRegularizationRequest.employee.lastName} requested a ${regularization.type} correction`,
+      data: newRegularizationRequest,
+      exclude: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Correction request submitted successfully',
+      data: { regularization }
+    });
+  } catch (error) {
+    console.error('[Regularization Create Error]:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting correction request',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/regularizations/:id/approve
+// @desc    Approve a request and apply it to the attendance record
+// @access  Private (HR or above, or the employee's manager)
+router.put('/:id/approve', protect, async (req, res) => {
+  try {
+    const regularization = await findRegularizationForReview(req, res);
+    if (!regularization) return;
+
+    const attendance = await applyRegularization(regularization, req.user._id);
+
+    regularization.status = 'approved';
+    regularization.reviewedBy = req.user._id;
+    regularization.reviewedOn = new Date();
+    regularization.reviewerComments = req.body.comments;
+    await regularization.save();
+
+    await notifyEmployee(req, regularization);
+
+    res.json({
+      success: true,
+      message: 'Correction approved and applied',
+      data: { regularization, attendance }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error approving correction request',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/regularizations/:id/reject
+// @desc    Reject a request
+// @access  Private (HR or above, or the employee's manager)
+router.put('/:id/reject', protect, async (req, res) => {
+  try {
+    const regularization = await findRegularizationForReview(req, res);
+    if (!regularization) return;
+
+    regularization.status = 'rejected';
+    regularization.reviewedBy = req.user._id;
+    regularization.reviewedOn = new Date();
+    regularization.reviewerComments = req.body.comments || req.body.reason;
+    await regularization.save();
+
+    await notifyEmployee(req, regularization);
+
+    res.json({
+      success: true,
+      message: 'Correction request rejected',
+      data: { regularization }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting correction request',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/regularizations/:id/cancel
+// @desc    Cancel own pending request
+// @access  Private
+router.put('/:id/cancel', protect, async (req, res) => {
+  try {
+    const regularization = await Regularization.findById(req.params.id);
+
+    if (!regularization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regularization request not found'
+      });
+    }
+
+    const userEmployeeId = req.user.employee && (req.user.employee._id || req.user.employee).toString();
+    if (regularization.employee.toString() !== userEmployeeId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this request'
+      });
+    }
+
+    if (regularization.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending requests can be cancelled'
+      });
+    }
+
+    regularization.status = 'cancelled';
+    await regularization.save();
+
+    res.json({
+      success: true,
+      message: 'Correction request cancelled',
+      data: { regularization }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling correction request',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,18 @@
 const express = require('express');
 const Report = require('../models/Report');
 const { protect, isHROrAbove } = require('../middleware/auth');
+const {
+  parseDate,
+  startOfDay,
+  endOfDay,
+  addDays,
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+  getOrgTimezone,
+  getEmployeeTimezone
+} = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -24,9 +36,9 @@ router.post('/', protect, async (req, res) => {
       });
     }
 
-    // Get today's date at midnight
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Get today's date at midnight in the employee's timezone
+    const timezone = await getEmployeeTimezone(employeeId);
+    const today = startOfDay(new Date(), timezone);
 
     // Always create a new report record as per requirement
     // This allows multiple sales records per day
@@ -91,13 +103,10 @@ router.get('/my', protect, async (req, res) => {
     const query = { employee: employeeId };
 
     if (startDate || endDate) {
+      const timezone = await getEmployeeTimezone(employeeId);
       query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        query.date.$lte = end;
-      }
+      if (startDate) query.date.$gte = startOfDay(parseDate(startDate, timezone), timezone);
+      if (endDate) query.date.$lte = endOfDay(parseDate(endDate, timezone), timezone);
     }
 
     const reports = await Report.find(query)
@@ -150,22 +159,15 @@ router.get('/my/weekly', protect, async (req, res) => {
       });
     }
 
-    // Get start of current week (Sunday)
+    // Current week (Sunday – Saturday) in the employee's timezone
+    const timezone = await getEmployeeTimezone(employeeId);
     const now = new Date();
-    const startOfWeek = new Date(now);
-    startOfWeek.setDate(now.getDate() - now.getDay());
-    startOfWeek.setHours(0, 0, 0, 0);
-
-    // Get end of current week (Saturday)
-    const endOfWeek = new Date(startOfWeek);
-    endOfWeek.setDate(startOfWeek.getDate() + 6);
-    endOfWeek.setHours(23, 59, 59, 999);
 
     const reports = await Report.find({
       employee: employeeId,
       date: {
-        $gte: startOfWeek,
-        $lte: endOfWeek
+        $gte: startOfWeek(now, timezone),
+        $lte: endOfWeek(now, timezone)
       }
     })
       .populate('employee', 'firstName lastName employeeId department')
@@ -205,20 +207,15 @@ router.get('/my/monthly', protect, async (req, res) => {
       });
     }
 
-    // Get start of current month
+    // Current month in the employee's timezone
+    const timezone = await getEmployeeTimezone(employeeId);
     const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    startOfMonth.setHours(0, 0, 0, 0);
-
-    // Get end of current month
-    const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    endOfMonth.setHours(23, 59, 59, 999);
 
     const reports = await Report.find({
       employee: employeeId,
       date: {
-        $gte: startOfMonth,
-        $lte: endOfMonth
+        $gte: startOfMonth(now, timezone),
+        $lte: endOfMonth(now, timezone)
       }
     })
       .populate('employee', 'firstName lastName employeeId department')
@@ -258,14 +255,14 @@ router.get('/today', protect, async (req, res) => {
       });
     }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const timezone = await getEmployeeTimezone(employeeId);
+    const today = startOfDay(new Date(), timezone);
 
     const reports = await Report.find({
       employee: employeeId,
       date: {
         $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
+        $lt: addDays(today, 1, timezone)
       }
     })
       .populate('employee', 'firstName lastName employeeId')
@@ -353,19 +350,20 @@ router.get('/attendance', protect, isHROrAbove, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const Attendance = require('../models/Attendance');
+    const timezone = await getOrgTimezone();
 
     const dateQuery = {};
     if (startDate || endDate) {
       dateQuery.date = {};
-      if (startDate) dateQuery.date.$gte = new Date(startDate);
-      if (endDate) dateQuery.date.$lte = new Date(endDate);
+      if (startDate) dateQuery.date.$gte = startOfDay(parseDate(startDate, timezone), timezone);
+      if (endDate) dateQuery.date.$lte = endOfDay(parseDate(endDate, timezone), timezone);
     }
 
     const dailyAttendance = await Attendance.aggregate([
       { $match: dateQuery },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
           present: {
             $sum: {
               $cond: [
@@ -419,11 +417,13 @@ router.get('/leave', protect, isHROrAbove, async (req, res) => {
     const Leave = require('../models/Leave');
     const { startDate, endDate } = req.query;
 
+    const timezone = await getOrgTimezone();
+
     const query = {};
     if (startDate || endDate) {
       query.startDate = {};
-      if (startDate) query.startDate.$gte = new Date(startDate);
-      if (endDate) query.startDate.$lte = new Date(endDate);
+      if (startDate) query.startDate.$gte = startOfDay(parseDate(startDate, timezone), timezone);
+      if (endDate) query.startDate.$lte = endOfDay(parseDate(endDate, timezone), timezone);
     }
 
     const leaves = await Leave.find(query)
@@ -558,13 +558,10 @@ router.get('/', protect, isHROrAbove, async (req, res) => {
     }
 
     if (startDate || endDate) {
+      const timezone = await getOrgTimezone();
       query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        query.date.$lte = end;
-      }
+      if (startDate) query.date.$gte = startOfDay(parseDate(startDate, timezone), timezone);
+      if (endDate) query.date.$lte = endOfDay(parseDate(endDate, timezone), timezone);
     }
 
     const reports = await Report.find(query)
@@ -609,16 +606,13 @@ router.get('/', protect, isHROrAbove, async (req, res) => {
 router.get('/stats', protect, isHROrAbove, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
+    const timezone = await getOrgTimezone();
 
     const dateQuery = {};
     if (startDate || endDate) {
       dateQuery.date = {};
-      if (startDate) dateQuery.date.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        dateQuery.date.$lte = end;
-      }
+      if (startDate) dateQuery.date.$gte = startOfDay(parseDate(startDate, timezone), timezone);
+      if (endDate) dateQuery.date.$lte = endOfDay(parseDate(endDate, timezone), timezone);
     }
 
     // Get headset usage stats - group by date string for proper grouping
@@ -626,7 +620,7 @@ router.get('/stats', protect, isHROrAbove, async (req, res) => {
       { $match: dateQuery },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
           dateValue: { $first: '$date' },
           uniqueEmployees: { $addToSet: '$employee' },
           headsetCount: { $sum: '$headset' }
@@ -649,7 +643,7 @@ router.get('/stats', protect, isHROrAbove, async (req, res) => {
       { $match: dateQuery },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
           dateValue: { $first: '$date' },
           uniqueEmployees: { $addToSet: '$employee' },
           totalSales: { $sum: '$sales' },
@@ -770,15 +764,16 @@ router.post('/employee/:employeeId', protect, async (req, res) => {
       });
     }
 
-    // Use provided date or today's date at midnight
-    const reportDate = req.body.date ? new Date(req.body.date) : new Date();
-    if (isNaN(reportDate.getTime())) {
+    // Use provided date or today's date at midnight in the employee's timezone
+    const timezone = await getEmployeeTimezone(employee);
+    const requestedDate = req.body.date ? parseDate(req.body.date, timezone) : new Date();
+    if (isNaN(requestedDate.getTime())) {
       return res.status(400).json({
         success: false,
         message: 'Invalid date format'
       });
     }
-    reportDate.setHours(0, 0, 0, 0);
+    const reportDate = startOfDay(requestedDate, timezone);
 
     // Always create a new report record as per requirement (Manager view)
     // This enables multiple sales records for the same employee on the same day
@@ -895,22 +890,23 @@ router.get('/employee/:employeeId/today', protect, async (req, res) => {
     const employeeId = req.params.employeeId;
     const { date } = req.query;
 
-    // Use provided date or today's date at midnight
-    const reportDate = date ? new Date(date) : new Date();
-    if (isNaN(reportDate.getTime())) {
+    // Use provided date or today's date at midnight in the employee's timezone
+    const timezone = await getEmployeeTimezone(employeeId);
+    const requestedDate = date ? parseDate(date, timezone) : new Date();
+    if (isNaN(requestedDate.getTime())) {
       console.error('Invalid date provided:', date);
       return res.status(400).json({
         success: false,
         message: 'Invalid date format'
       });
     }
-    reportDate.setHours(0, 0, 0, 0);
+    const reportDate = startOfDay(requestedDate, timezone);
 
     const reports = await Report.find({
       employee: employeeId,
       date: {
         $gte: reportDate,
-        $lt: new Date(reportDate.getTime() + 24 * 60 * 60 * 1000)
+        $lt: addDays(reportDate, 1, timezone)
       }
     })
       .populate('employee', 'firstName lastName employeeId')
@@ -974,13 +970,10 @@ router.get('/manager/updated', protect, async (req, res) => {
     };
 
     if (startDate || endDate) {
+      const timezone = await getOrgTimezone();
       query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        query.date.$lte = end;
-      }
+      if (startDate) query.date.$gte = startOfDay(parseDate(startDate, timezone), timezone);
+      if (endDate) query.date.$lte = endOfDay(parseDate(endDate, timezone), timezone);
     }
 
     // Get reports created or updated by this manager
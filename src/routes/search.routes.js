@@ -0,0 +1,62 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { SEARCH_TYPES, search } = require('../utils/search');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Search chat messages, tasks, tickets, notices and meetings the user can see
+//          (?q=text&types=task,ticket&page=1&limit=20; limit up to 50, page up to 20)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { q, types } = req.query;
+    const text = typeof q === 'string' ? q.trim() : '';
+
+    if (text.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text must be at least 2 characters'
+      });
+    }
+
+    const requestedTypes = types
+      ? [...new Set(String(types).split(',').map(type => type.trim()).filter(Boolean))]
+      : SEARCH_TYPES;
+
+    if (!requestedTypes.every(type => SEARCH_TYPES.includes(type))) {
+      return res.status(400).json({
+        success: false,
+        message: `Types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`
+      });
+    }
+
+    const { results, totals, total, page, limit } = await search(req.user, text, {
+      types: requestedTypes,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        totals,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error searching',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const Settings = require('../models/Settings');
 const { protect, isHROrAbove } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/timezone');
+const { isValidIpRange } = require('../utils/punchLocation');
 
 const router = express.Router();
 
@@ -29,7 +31,16 @@ router.get('/', protect, async (req, res) => {
 // @access  Private (HR or Boss)
 router.put('/', protect, isHROrAbove, async (req, res) => {
   try {
-    const { companyName } = req.body;
+    const {
+      companyName,
+      timezone,
+      weekendDays,
+      punchRestriction,
+      officeLocations,
+      allowedIpRanges,
+      payroll,
+      compOff
+    } = req.body;
 
     if (!companyName || companyName.trim() === '') {
       return res.status(400).json({
@@ -38,17 +49,112 @@ router.put('/', protect, isHROrAbove, async (req, res) => {
       });
     }
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timezone. Use an IANA timezone such as Asia/Karachi.'
+      });
+    }
+
+    if (weekendDays !== undefined && (!Array.isArray(weekendDays)
+      || !weekendDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weekend days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)'
+      });
+    }
+
+    if (punchRestriction !== undefined && !['off', 'flag', 'block'].includes(punchRestriction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Punch restriction must be one of: off, flag, block'
+      });
+    }
+
+    if (officeLocations !== undefined && (!Array.isArray(officeLocations)
+      || !officeLocations.every(office => office && office.name
+        && Number.isFinite(Number(office.latitude)) && Math.abs(office.latitude) <= 90
+        && Number.isFinite(Number(office.longitude)) && Math.abs(office.longitude) <= 180))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each office location needs a name, latitude and longitude'
+      });
+    }
+
+    if (allowedIpRanges !== undefined && (!Array.isArray(allowedIpRanges)
+      || !allowedIpRanges.every(isValidIpRange))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Allowed IP ranges must be IP addresses or CIDR ranges (e.g. 203.0.113.0/24)'
+      });
+    }
+
+    if (payroll !== undefined) {
+      const numericFields = ['overtimeRate', 'hoursPerDay', 'lateGraceCount', 'latePenaltyDays'];
+      const invalidField = typeof payroll !== 'object' || payroll === null
+        ? 'payroll'
+        : numericFields.find(field => payroll[field] !== undefined
+          && (typeof payroll[field] !== 'number' || payroll[field] < 0));
+      if (invalidField) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid payroll setting: ${invalidField} must be a non-negative number`
+        });
+      }
+    }
+
+    if (compOff !== undefined) {
+      const numericFields = ['overtimeThresholdHours', 'hoursPerDay', 'expiryDays'];
+      let invalidField = typeof compOff !== 'object' || compOff === null
+        ? 'compOff'
+        : numericFields.find(field => compOff[field] !== undefined
+          && (typeof compOff[field] !== 'number' || compOff[field] < 0));
+      if (!invalidField && compOff.enabled !== undefined && typeof compOff.enabled !== 'boolean') {
+        invalidField = 'enabled';
+      }
+      if (invalidField) {
+        return res.status(400).json({
+          success: false,
+          message: invalidField === 'enabled'
+            ? 'Invalid comp-off setting: enabled must be true or false'
+            : `Invalid comp-off setting: ${invalidField} must be a non-negative number`
+        });
+      }
+    }
+
+    const punchSettings = { punchRestriction, officeLocations, allowedIpRanges };
+
     let settings = await Settings.findOne();
     
     if (!settings) {
       // Create new settings document
       settings = await Settings.create({
         companyName: companyName.trim(),
+        timezone,
+        weekendDays,
+        ...punchSettings,
+        payroll,
+        compOff,
         updatedBy: req.user._id
       });
     } else {
       // Update existing settings
       settings.companyName = companyName.trim();
+      if (timezone !== undefined) settings.timezone = timezone;
+      if (weekendDays !== undefined) settings.weekendDays = weekendDays;
+      Object.entries(punchSettings).forEach(([key, value]) => {
+        if (value !== undefined) settings[key] = value;
+      });
+      if (payroll !== undefined) {
+        ['currency', 'overtimeRate', 'hoursPerDay', 'lateGraceCount', 'latePenaltyDays'].forEach(field => {
+          if (payroll[field] !== undefined) settings.set(`payroll.${field}`, payroll[field]);
+        });
+      }
+      if (compOff !== undefined) {
+        ['enabled', 'overtimeThresholdHours', 'hoursPerDay', 'expiryDays'].forEach(field => {
+          if (compOff[field] !== undefined) settings.set(`compOff.${field}`, compOff[field]);
+        });
+      }
       settings.updatedBy = req.user._id;
       await settings.save();
     }
@@ -59,6 +165,12 @@ router.put('/', protect, isHROrAbove, async (req, res) => {
       data: { settings }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error updating settings:', error);
     res.status(500).json({
       success: false,
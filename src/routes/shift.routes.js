@@ -0,0 +1,292 @@
+const express = require('express');
+const Shift = require('../models/Shift');
+const Employee = require('../models/Employee');
+const Department = require('../models/Department');
+const { protect, isHROrAbove } = require('../middleware/auth');
+const { getEmployeeTimezone } = require('../utils/timezone');
+
+const router = express.Router();
+
+// Only one shift can be the default at a time
+const clearOtherDefaults = async (shiftId) => {
+  await Shift.updateMany({ _id: { $ne: shiftId }, isDefault: true }, { isDefault: false });
+};
+
+// @route   GET /api/shifts
+// @desc    Get all active shifts
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    // Make sure the default shift exists before listing
+    await Shift.getDefault();
+
+    const shifts = await Shift.find({ isActive: true })
+      .sort({ isDefault: -1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { shifts }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shifts',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/shifts/my
+// @desc    Get the shift that applies to the current user
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const [shift, timezone] = await Promise.all([
+      Shift.getForEmployee(req.user.employee),
+      getEmployeeTimezone(req.user.employee)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        shift,
+        timezone,
+        deadZone: shift.getDeadZone(),
+        shiftDate: shift.getShiftDate(new Date(), timezone)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shift',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/shifts/:id
+// @desc    Get shift by ID
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { shift, deadZone: shift.getDeadZone() }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shift',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/shifts
+// @desc    Create shift
+// @access  Private (HR or above)
+router.post('/', protect, isHROrAbove, async (req, res) => {
+  try {
+    const {
+      name,
+      startTime,
+      endTime,
+      graceMinutes,
+      earlyWindowMinutes,
+      overtimeThresholdMinutes,
+      autoCloseAfterMinutes,
+      deadZone,
+      isDefault
+    } = req.body;
+
+    const shift = await Shift.create({
+      name,
+      startTime,
+      endTime,
+      graceMinutes,
+      earlyWindowMinutes,
+      overtimeThresholdMinutes,
+      autoCloseAfterMinutes,
+      deadZone,
+      isDefault: !!isDefault,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    if (shift.isDefault) {
+      await clearOtherDefaults(shift._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      data: { shift }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating shift',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/shifts/:id
+// @desc    Update shift
+// @access  Private (HR or above)
+router.put('/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const fields = [
+      'name',
+      'startTime',
+      'endTime',
+      'graceMinutes',
+      'earlyWindowMinutes',
+      'overtimeThresholdMinutes',
+      'autoCloseAfterMinutes',
+      'deadZone',
+      'isDefault'
+    ];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    });
+    shift.updatedBy = req.user._id;
+
+    await shift.save();
+
+    if (shift.isDefault) {
+      await clearOtherDefaults(shift._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: { shift }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating shift',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/shifts/:id/assign
+// @desc    Assign shift to employees and/or departments
+// @access  Private (HR or above)
+router.put('/:id/assign', protect, isHROrAbove, async (req, res) => {
+  try {
+    const { employees = [], departments = [] } = req.body;
+
+    const shift = await Shift.findOne({ _id: req.params.id, isActive: true });
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const [employeeResult, departmentResult] = await Promise.all([
+      employees.length > 0
+        ? Employee.updateMany({ _id: { $in: employees } }, { shift: shift._id })
+        : { modifiedCount: 0 },
+      departments.length > 0
+        ? Department.updateMany({ _id: { $in: departments } }, { shift: shift._id })
+        : { modifiedCount: 0 }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Shift assigned successfully',
+      data: {
+        shift,
+        employeesUpdated: employeeResult.modifiedCount,
+        departmentsUpdated: departmentResult.modifiedCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning shift',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/shifts/:id
+// @desc    Deactivate shift (employees and departments fall back to the default)
+// @access  Private (HR or above)
+router.delete('/:id', protect, isHROrAbove, async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the default shift. Set another shift as default first.'
+      });
+    }
+
+    shift.isActive = false;
+    shift.updatedBy = req.user._id;
+    await shift.save();
+
+    await Promise.all([
+      Employee.updateMany({ shift: shift._id }, { $unset: { shift: 1 } }),
+      Department.updateMany({ shift: shift._id }, { $unset: { shift: 1 } })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Shift deactivated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating shift',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
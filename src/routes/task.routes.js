@@ -1,9 +1,12 @@
 const express = require('express');
 const path = require('path');
 const Task = require('../models/Task');
+const User = require('../models/User');
 const { protect, isManagerOrAbove, isBossOrAdmin } = require('../middleware/auth');
 const { taskValidator } = require('../middleware/validators');
 const { upload } = require('../config/upload');
+const { routeTaskToDelegates } = require('../utils/delegation');
+const { notify } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -187,27 +190,67 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private (Boss or Admin only)
 router.post('/', protect, isBossOrAdmin, taskValidator, async (req, res) => {
   try {
+    // Assignees on leave: the task is also assigned to their delegate
+    const { assignedTo, delegations } = await routeTaskToDelegates(req.body.assignedTo);
+
     const task = await Task.create({
       ...req.body,
+      assignedTo,
+      delegations,
       assignedBy: req.user._id
     });
 
-    // Emit socket event for real-time notification
+    // Emit socket event for real-time notification (rooms are keyed by user ID)
     const io = req.app.get('io');
-    if (io && req.body.assignedTo) {
-      req.body.assignedTo.forEach(empId => {
-        io.to(empId).emit('newTask', {
-          id: task._id,
-          title: task.title,
-          priority: task.priority,
-          dueDate: task.dueDate
-        });
+    const assigneeUsers = await User.find({ employee: { $in: assignedTo } }).select('_id employee').lean();
+    const newTask = {
+      id: task._id,
+      title: task.title,
+      priority: task.priority,
+      dueDate: task.dueDate
+    };
+    if (io) {
+      assigneeUsers.forEach(user => {
+        io.to(user._id.toString()).emit('newTask', newTask);
+      });
+    }
+    // Delegates get a taskDelegated notification instead
+    const delegateIds = delegations.filter(d => d.delegate).map(d => d.delegate);
+    await notify(io, assigneeUsers.filter(user => !delegateIds.includes(user.employee.toString())).map(user => user._id), {
+      category: 'task',
+      type: 'newTask',
+      title: `New task: ${task.title}`,
+      data: newTask,
+      exclude: req.user._id
+    });
+
+    // Let delegates know they are covering for someone
+    for (const delegation of delegations.filter(d => d.delegate)) {
+      const delegateUser = assigneeUsers.find(u => u.employee.toString() === delegation.delegate);
+      if (!delegateUser) continue;
+      const taskDelegated = {
+        id: task._id,
+        title: task.title,
+        onBehalfOf: delegation.employee,
+        until: delegation.until
+      };
+      if (io) {
+        io.to(delegateUser._id.toString()).emit('taskDelegated', taskDelegated);
+      }
+      await notify(io, [delegateUser._id], {
+        category: 'task',
+        type: 'taskDelegated',
+        title: `Task routed to you: ${task.title}`,
+        message: 'Assigned to a colleague who is on leave',
+        data: taskDelegated
       });
     }
 
     res.status(201).json({
       success: true,
-      message: 'Task created successfully',
+      message: delegations.length > 0
+        ? 'Task created successfully. Some assignees are on leave (see delegations)'
+        : 'Task created successfully',
       data: { task }
     });
   } catch (error) {
@@ -4,6 +4,7 @@ const Ticket = require('../models/Ticket');
 const Employee = require('../models/Employee');
 const User = require('../models/User');
 const { protect, isHROrAbove } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -142,26 +143,35 @@ router.post('/', protect, async (req, res) => {
 
     // Emit socket event to management users
     const io = req.app.get('io');
-    if (io) {
-      // Find all users with management/HR roles
-      const managementUsers = await User.find({
-        role: { $in: ['hr', 'manager', 'boss', 'admin'] }
-      }).select('_id');
+    // Find all users with management/HR roles
+    const managementUsers = await User.find({
+      role: { $in: ['hr', 'manager', 'boss', 'admin'] }
+    }).select('_id');
+    const newTicket = {
+      id: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      subject: ticket.subject,
+      category: ticket.category,
+      priority: ticket.priority,
+      employee: {
+        firstName: ticket.employee.firstName,
+        lastName: ticket.employee.lastName
+      }
+    };
 
+    if (io) {
       managementUsers.forEach(mUser => {
-        io.to(mUser._id.toString()).emit('newTicket', {
-          id: ticket._id,
-          ticketNumber: ticket.ticketNumber,
-          subject: ticket.subject,
-          category: ticket.category,
-          priority: ticket.priority,
-          employee: {
-            firstName: ticket.employee.firstName,
-            lastName: ticket.employee.lastName
-          }
-        });
+        io.to(mUser._id.toString()).emit('newTicket', newTicket);
       });
     }
+    await notify(io, managementUsers.map(mUser => mUser._id), {
+      category: 'ticket',
+      type: 'newTicket',
+      title: `New ticket ${ticket.ticketNumber}: ${ticket.subject}`,
+      message: `${ticket.employee.firstName} ${ticket.employee.lastName} · ${ticket.priority} priority`,
+      data: newTicket,
+      exclude: req.user._id
+    });
 
     res.status(201).json({
       success: true,
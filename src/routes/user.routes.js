@@ -1,6 +1,8 @@
 const express = require('express');
 const User = require('../models/User');
 const { protect, authorize, isBossOrAdmin } = require('../middleware/auth');
+const { transferGroupsOfDeactivatedUser } = require('../utils/chatGroups');
+const { syncUserChannels } = require('../utils/channels');
 
 const router = express.Router();
 
@@ -107,6 +109,12 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
+    if (!user.isActive) {
+      await transferGroupsOfDeactivatedUser(req.app.get('io'), user._id);
+    }
+    // Account state and role decide channel membership
+    await syncUserChannels(req.app.get('io'), user._id);
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -139,6 +147,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
+    await transferGroupsOfDeactivatedUser(req.app.get('io'), user._id);
+    await syncUserChannels(req.app.get('io'), user._id);
+
     res.json({
       success: true,
       message: 'User deactivated successfully'
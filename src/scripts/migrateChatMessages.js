@@ -0,0 +1,93 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const { Chat, Message } = require('../models');
+
+// Moves messages embedded in chats (chat.messages) into the Message collection.
+// Message IDs, timestamps, readBy and attachments are copied as stored, so
+// links to message IDs keep working. A chat's embedded messages are removed
+// only once all of them exist in the Message collection; running the script
+// again picks up where it stopped.
+//
+//   npm run migrate-chat-messages              migrate
+//   npm run migrate-chat-messages -- --dry-run report what would be moved
+
+const dryRun = process.argv.includes('--dry-run');
+
+const toMessage = (chatId, embedded) => ({
+  _id: embedded._id,
+  chat: chatId,
+  sender: embedded.sender,
+  content: embedded.content,
+  messageType: embedded.messageType || 'text',
+  attachments: embedded.attachments || [],
+  readBy: embedded.readBy || [],
+  isDeleted: embedded.isDeleted || false,
+  ...(embedded.autoReplyFor && { autoReplyFor: embedded.autoReplyFor }),
+  createdAt: embedded.createdAt || embedded._id.getTimestamp(),
+  updatedAt: embedded.updatedAt || embedded.createdAt || embedded._id.getTimestamp()
+});
+
+const migrateChatMessages = async () => {
+  try {
+    await connectDB();
+    console.log('🔌 Connected to MongoDB');
+
+    // Make sure the Message indexes exist before inserting
+    if (!dryRun) await Message.init();
+
+    // The Chat schema no longer has `messages`, so read the raw documents
+    const cursor = Chat.collection.find(
+      { messages: { $exists: true } },
+      { projection: { messages: 1 } }
+    );
+
+    let chatCount = 0;
+    let messageCount = 0;
+
+    for await (const chat of cursor) {
+      const messages = (chat.messages || []).map(embedded => toMessage(chat._id, embedded));
+
+      if (dryRun) {
+        console.log(`   Chat ${chat._id}: ${messages.length} message(s)`);
+      } else {
+        // Upsert on _id without overwriting, so re-runs don't duplicate or
+        // change already migrated messages (bypasses Mongoose timestamps)
+        if (messages.length > 0) {
+          await Message.collection.bulkWrite(
+            messages.map(message => ({
+              updateOne: {
+                filter: { _id: message._id },
+                update: { $setOnInsert: message },
+                upsert: true
+              }
+            })),
+            { ordered: false }
+          );
+        }
+
+        const migrated = await Message.countDocuments({
+          _id: { $in: messages.map(message => message._id) },
+          chat: chat._id
+        });
+        if (migrated !== messages.length) {
+          console.error(`⚠️  Chat ${chat._id}: only ${migrated} of ${messages.length} message(s) migrated, keeping embedded messages`);
+          continue;
+        }
+
+        await Chat.collection.updateOne({ _id: chat._id }, { $unset: { messages: '' } });
+      }
+
+      chatCount++;
+      messageCount += messages.length;
+    }
+
+    console.log(`✅ ${dryRun ? 'Would migrate' : 'Migrated'} ${messageCount} message(s) from ${chatCount} chat(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating chat messages:', error);
+    process.exit(1);
+  }
+};
+
+migrateChatMessages();
@@ -7,6 +7,13 @@ const path = require('path');
 const { Server } = require('socket.io');
 const connectDB = require('./config/database');
 const passport = require('./config/passport');
+const { startJobs } = require('./jobs');
+const { registerSocketHandlers } = require('./sockets');
+const {
+  createPresenceService,
+  createMemoryPresenceStore,
+  createMongoPresenceStore
+} = require('./sockets/presence');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -24,6 +31,13 @@ const reportRoutes = require('./routes/report.routes');
 const recruitmentRoutes = require('./routes/recruitment.routes');
 const departmentRoutes = require('./routes/department.routes');
 const settingsRoutes = require('./routes/settings.routes');
+const shiftRoutes = require('./routes/shift.routes');
+const holidayRoutes = require('./routes/holiday.routes');
+const regularizationRoutes = require('./routes/regularization.routes');
+const payrollRoutes = require('./routes/payroll.routes');
+const compOffRoutes = require('./routes/compOff.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const searchRoutes = require('./routes/search.routes');
 
 const app = express();
 const server = http.createServer(app);
@@ -43,6 +57,13 @@ const io = new Server(server, {
   }
 });
 
+// Behind a reverse proxy (e.g. Render) req.ip must come from X-Forwarded-For
+// for the check-in network restriction to see the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
 // Middleware
 app.use(compression()); // Compress responses for faster transfer
 app.use(cors({
@@ -65,8 +86,14 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 // Initialize Passport
 app.use(passport.initialize());
 
-// Make io accessible to routes
+// Online status per user. Use PRESENCE_STORE=mongo when running more than one instance.
+const presence = createPresenceService({
+  store: process.env.PRESENCE_STORE === 'mongo' ? createMongoPresenceStore() : createMemoryPresenceStore()
+});
+
+// Make io and presence accessible to routes
 app.set('io', io);
+app.set('presence', presence);
 
 // Health check route for root
 app.get('/', (req, res) => {
@@ -114,6 +141,13 @@ apiRouter.use('/reports', reportRoutes);
 apiRouter.use('/recruitment', recruitmentRoutes);
 apiRouter.use('/departments', departmentRoutes);
 apiRouter.use('/settings', settingsRoutes);
+apiRouter.use('/shifts', shiftRoutes);
+apiRouter.use('/holidays', holidayRoutes);
+apiRouter.use('/regularizations', regularizationRoutes);
+apiRouter.use('/payroll', payrollRoutes);
+apiRouter.use('/comp-off', compOffRoutes);
+apiRouter.use('/notifications', notificationRoutes);
+apiRouter.use('/search', searchRoutes);
 
 // Add health check to apiRouter as well
 apiRouter.get('/health', (req, res) => {
@@ -129,46 +163,8 @@ app.use('/api', apiRouter);
 app.use('/', apiRouter);
 
 
-// Socket.io connection handling with authentication
-io.use((socket, next) => {
-  // Socket.io authentication middleware
-  // For now, we'll allow connections and authenticate in the join event
-  next();
-});
-
-io.on('connection', (socket) => {
-  console.log(`🔌 User connected: ${socket.id}`);
-
-  // Join user to their personal room
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`👤 User ${userId} joined their room`);
-
-    // Notify others that this user is online (optional)
-    socket.broadcast.emit('userOnline', { userId });
-  });
-
-  // Handle chat messages (for direct socket messaging if needed)
-  socket.on('sendMessage', (data) => {
-    // Emit to specific user rooms
-    io.to(data.receiverId).emit('newMessage', data);
-  });
-
-  // Handle typing indicator
-  socket.on('typing', (data) => {
-    socket.to(data.receiverId).emit('userTyping', {
-      userId: socket.id,
-      chatId: data.chatId,
-      isTyping: data.isTyping
-    });
-  });
-
-  socket.on('disconnect', () => {
-    console.log(`🔌 User disconnected: ${socket.id}`);
-    // Notify others that user is offline (optional)
-    socket.broadcast.emit('userOffline', { userId: socket.id });
-  });
-});
+// Socket.io: JWT authentication, per-user rooms and chat events
+registerSocketHandlers(io, { presence });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -200,6 +196,8 @@ connectDB().then(() => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📡 API available at http://localhost:${PORT}/api`);
   });
+  startJobs(app);
+  presence.start().catch(error => console.error('[PRESENCE] Start error:', error));
 });
 
 module.exports = { app, io };
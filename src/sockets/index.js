@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const { protectSocket } = require('../middleware/auth');
+
+// ─── Socket.io ────────────────────────────────────────────────────────
+// Connections are authenticated with the same JWT as the REST API. Each socket
+// joins its user's room (the user ID) on the server, which is where routes
+// send per-user events. Events sent by clients only reach the other
+// participants of a chat the sender belongs to. Online status is kept by the
+// presence service (./presence) and announced only when it really changes.
+
+// Participant IDs of a chat the user belongs to, or null
+const getChatParticipants = async (chatId, userId) => {
+  if (!mongoose.isValidObjectId(chatId)) return null;
+  const chat = await Chat.findOne({ _id: chatId, participants: userId }).select('participants').lean();
+  return chat ? chat.participants.map(participant => participant.toString()) : null;
+};
+
+// Message types a client may relay (system messages come from the server only)
+const RELAY_MESSAGE_TYPES = ['text', 'image', 'file'];
+
+// Calls the client's acknowledgement callback, when it sent one
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+const registerSocketHandlers = (io, { presence }) => {
+  io.use(protectSocket);
+
+  // First connection opened / last connection closed
+  presence.onChange(change => {
+    io.emit('presenceChanged', change);
+    io.emit(change.online ? 'userOnline' : 'userOffline', { userId: change.userId });
+  });
+
+  io.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+    socket.join(userId);
+    console.log(`🔌 User connected: ${userId} (${socket.id})`);
+
+    presence.connect(userId, socket.id)
+      .catch(error => console.error('[SOCKET presence] Error:', error));
+
+    // Rooms are joined on connection; kept so older clients still get an answer
+    socket.on('join', (data, ack) => {
+      reply(typeof data === 'function' ? data : ack, { success: true, userId });
+    });
+
+    // Relay a chat message to the chat's other participants (messages sent
+    // through the REST API are saved; these are not). Only the content, type
+    // and the client's tempId are passed on; the sender is always this socket's user.
+    socket.on('sendMessage', async (data = {}, ack) => {
+      try {
+        const { content, messageType = 'text', tempId } = data;
+        if (typeof content !== 'string' || !content.trim() || !RELAY_MESSAGE_TYPES.includes(messageType)
+          || (tempId !== undefined && !['string', 'number'].includes(typeof tempId))) {
+          return reply(ack, { success: false, message: 'Invalid message' });
+        }
+
+        const participants = await getChatParticipants(data.chatId, userId);
+        if (!participants) {
+          return reply(ack, { success: false, message: 'Not a participant of this chat' });
+        }
+
+        participants
+          .filter(participant => participant !== userId)
+          .forEach(participant => {
+            io.to(participant).emit('newMessage', {
+              chatId: data.chatId.toString(),
+              content,
+              messageType,
+              ...(tempId !== undefined && { tempId }),
+              senderId: userId,
+              sender: { _id: userId, email: socket.user.email }
+            });
+          });
+        reply(ack, { success: true });
+      } catch (error) {
+        console.error('[SOCKET sendMessage] Error:', error);
+        reply(ack, { success: false, message: 'Error sending message' });
+      }
+    });
+
+    // Typing indicator for the chat's other participants
+    socket.on('typing', async (data = {}) => {
+      try {
+        const participants = await getChatParticipants(data.chatId, userId);
+        if (!participants) return;
+
+        participants
+          .filter(participant => participant !== userId)
+          .forEach(participant => {
+            socket.to(participant).emit('userTyping', {
+              userId,
+              chatId: data.chatId.toString(),
+              isTyping: !!data.isTyping
+            });
+          });
+      } catch (error) {
+        console.error('[SOCKET typing] Error:', error);
+      }
+    });
+
+    // Online status of other users
+    socket.on('getPresence', async (userIds, ack) => {
+      try {
+        const ids = [].concat(userIds || []).filter(id => mongoose.isValidObjectId(id));
+        reply(ack, { success: true, data: { presence: await presence.getPresence(ids) } });
+      } catch (error) {
+        console.error('[SOCKET getPresence] Error:', error);
+        reply(ack, { success: false, message: 'Error fetching presence' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`🔌 User disconnected: ${userId} (${socket.id})`);
+      presence.disconnect(userId, socket.id)
+        .catch(error => console.error('[SOCKET presence] Error:', error));
+    });
+  });
+};
+
+module.exports = { registerSocketHandlers };
@@ -0,0 +1,217 @@
+const os = require('os');
+const Presence = require('../models/Presence');
+
+// ─── Presence ─────────────────────────────────────────────────────────
+// A user is online while they have at least one open socket (several tabs or
+// devices count once). Changes are reported only when a user's first
+// connection opens or their last one closes, together with the last-seen time.
+//
+// Connection counts live in a store:
+//   memory  this process only (single instance, tests)
+//   mongo   shared by every instance through the Presence collection; each
+//           instance refreshes its connections on a heartbeat, so the sockets
+//           of an instance that died stop counting after STALE_AFTER_MS; users
+//           left with only such sockets are reported offline on the next
+//           heartbeat of any instance
+
+const HEARTBEAT_MS = 60 * 1000;
+const STALE_AFTER_MS = 3 * HEARTBEAT_MS;
+
+const latest = (dates) => dates.filter(Boolean).reduce((max, date) => (!max || date > max ? date : max), null);
+
+// Store API (all async):
+//   addConnection(userId, connectionId)          → open connections afterwards
+//   removeConnection(userId, connectionId, at)   → open connections afterwards,
+//                                                  null if the connection wasn't open
+//   getPresence(userIds)                         → Map userId → { connections, lastSeen }
+//   start() / heartbeat()                        optional
+//   expireStaleConnections()                     optional → [{ userId, lastSeen }] of users
+//                                                  whose last connection went stale, once each
+const createMemoryPresenceStore = () => {
+  const users = new Map();
+
+  return {
+    async addConnection(userId, connectionId) {
+      if (!users.has(userId)) users.set(userId, { connections: new Set(), lastSeen: null });
+      const entry = users.get(userId);
+      entry.connections.add(connectionId);
+      return entry.connections.size;
+    },
+
+    async removeConnection(userId, connectionId, at) {
+      const entry = users.get(userId);
+      if (!entry || !entry.connections.delete(connectionId)) return null;
+      if (entry.connections.size === 0) entry.lastSeen = at;
+      return entry.connections.size;
+    },
+
+    async getPresence(userIds) {
+      return new Map(userIds.map(userId => {
+        const entry = users.get(userId);
+        return [userId, { connections: entry ? entry.connections.size : 0, lastSeen: entry?.lastSeen || null }];
+      }));
+    }
+  };
+};
+
+const createMongoPresenceStore = ({ instanceId = `${os.hostname()}:${process.pid}` } = {}) => {
+  const staleBefore = () => new Date(Date.now() - STALE_AFTER_MS);
+  const liveConnections = (doc) => (doc ? doc.connections.filter(c => c.seenAt >= staleBefore()) : []);
+
+  return {
+    // Connections left behind by an earlier run of this instance
+    async start() {
+      await Presence.updateMany(
+        { 'connections.instance': instanceId },
+        { $pull: { connections: { instance: instanceId } } }
+      );
+    },
+
+    async heartbeat() {
+      await Presence.updateMany(
+        { 'connections.instance': instanceId },
+        { $set: { 'connections.$[connection].seenAt': new Date() } },
+        { arrayFilters: [{ 'connection.instance': instanceId }] }
+      );
+    },
+
+    async addConnection(userId, connectionId) {
+      await Presence.updateOne({ user: userId }, { $pull: { connections: { seenAt: { $lt: staleBefore() } } } });
+      const doc = await Presence.findOneAndUpdate(
+        { user: userId },
+        { $push: { connections: { id: connectionId, instance: instanceId, seenAt: new Date() } } },
+        { new: true, upsert: true }
+      ).lean();
+      return liveConnections(doc).length;
+    },
+
+    async removeConnection(userId, connectionId, at) {
+      const doc = await Presence.findOneAndUpdate(
+        { user: userId, 'connections.id': connectionId },
+        { $pull: { connections: { id: connectionId } } },
+        { new: true }
+      ).lean();
+      if (!doc) return null;
+
+      const count = liveConnections(doc).length;
+      if (count === 0) {
+        await Presence.updateOne({ user: userId }, { lastSeen: at });
+      }
+      return count;
+    },
+
+    // Clears the connections of users who have some but none live. The update
+    // only applies while that still holds, so each user is returned by one
+    // instance, once.
+    async expireStaleConnections() {
+      const cutoff = staleBefore();
+      const allStale = { 'connections.0': { $exists: true }, 'connections.seenAt': { $not: { $gte: cutoff } } };
+      const docs = await Presence.find(allStale).lean();
+
+      const expired = [];
+      for (const doc of docs) {
+        const lastSeen = latest([doc.lastSeen, ...doc.connections.map(c => c.seenAt)]);
+        const result = await Presence.updateOne(
+          { _id: doc._id, ...allStale },
+          { $set: { connections: [], lastSeen } }
+        );
+        if (result.modifiedCount > 0) {
+          expired.push({ userId: doc.user.toString(), lastSeen });
+        }
+      }
+      return expired;
+    },
+
+    async getPresence(userIds) {
+      const docs = await Presence.find({ user: { $in: userIds } }).lean();
+      const byUser = new Map(docs.map(doc => [doc.user.toString(), doc]));
+      return new Map(userIds.map(userId => {
+        const doc = byUser.get(userId);
+        const connections = liveConnections(doc).length;
+        // Stale connections were last seen at their final heartbeat
+        const lastSeen = connections > 0 || !doc
+          ? null
+          : latest([doc.lastSeen, ...doc.connections.map(c => c.seenAt)]);
+        return [userId, { connections, lastSeen }];
+      }));
+    }
+  };
+};
+
+const createPresenceService = ({ store = createMemoryPresenceStore() } = {}) => {
+  const listeners = [];
+  let heartbeatTimer = null;
+
+  const emitChange = (change) => {
+    listeners.forEach(listener => listener(change));
+  };
+
+  // Users whose last connection went stale (their instance died) go offline
+  const expireStaleConnections = async () => {
+    if (!store.expireStaleConnections) return;
+    const expired = await store.expireStaleConnections();
+    expired.forEach(({ userId, lastSeen }) => emitChange({ userId, online: false, lastSeen }));
+  };
+
+  // [{ userId, online, lastSeen }] in the order asked
+  const getPresence = async (userIds) => {
+    const ids = [...new Set(userIds.map(userId => userId.toString()))];
+    const presence = await store.getPresence(ids);
+    return ids.map(userId => {
+      const { connections, lastSeen } = presence.get(userId) || { connections: 0, lastSeen: null };
+      return { userId, online: connections > 0, lastSeen: connections > 0 ? null : lastSeen };
+    });
+  };
+
+  return {
+    // listener({ userId, online, lastSeen }) on every online / offline change
+    onChange(listener) {
+      listeners.push(listener);
+    },
+
+    async start() {
+      if (store.start) await store.start();
+      if (store.heartbeat && !heartbeatTimer) {
+        heartbeatTimer = setInterval(() => {
+          store.heartbeat()
+            .then(expireStaleConnections)
+            .catch(error => console.error('[PRESENCE] Heartbeat error:', error));
+        }, HEARTBEAT_MS);
+      }
+      await expireStaleConnections();
+    },
+
+    stop() {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    },
+
+    async connect(userId, connectionId) {
+      const id = userId.toString();
+      const count = await store.addConnection(id, connectionId);
+      if (count === 1) emitChange({ userId: id, online: true, lastSeen: null });
+      return count;
+    },
+
+    async disconnect(userId, connectionId) {
+      const id = userId.toString();
+      const at = new Date();
+      const count = await store.removeConnection(id, connectionId, at);
+      if (count === 0) emitChange({ userId: id, online: false, lastSeen: at });
+      return count;
+    },
+
+    getPresence,
+
+    async isOnline(userId) {
+      const [presence] = await getPresence([userId]);
+      return presence.online;
+    }
+  };
+};
+
+module.exports = {
+  createMemoryPresenceStore,
+  createMongoPresenceStore,
+  createPresenceService
+};
@@ -0,0 +1,143 @@
+const Chat = require('../models/Chat');
+const Department = require('../models/Department');
+const Employee = require('../models/Employee');
+const User = require('../models/User');
+const { getUserIdsForEmployees, getUserIdsByRole } = require('./notifications');
+
+// ─── Channels ─────────────────────────────────────────────────────────
+// Channels are chats (chatType 'channel') whose members follow an audience:
+//   department    active employees of the department; one per department,
+//                 named after it and archived with it
+//   announcement  all active users, or the employees of `departments`; only
+//                 HR / boss / admin post, and they are always members
+// Membership is synced when departments, employees or accounts change, and
+// by the syncChannels job for anything changed elsewhere.
+
+const CHANNEL_POSTER_ROLES = ['hr', 'boss', 'admin'];
+
+// Employees in these states belong in their department's channels
+const MEMBER_STATUSES = ['active', 'on-leave'];
+
+const getDepartmentUserIds = async (departmentIds) => {
+  const employees = await Employee.find({
+    department: { $in: departmentIds },
+    status: { $in: MEMBER_STATUSES }
+  }).select('_id').lean();
+  return getUserIdsForEmployees(employees.map(employee => employee._id));
+};
+
+// User IDs that belong in the channel
+const getChannelMemberIds = async (channel) => {
+  if (channel.channelType === 'department') {
+    return getDepartmentUserIds([channel.department]);
+  }
+
+  const audience = channel.departments?.length
+    ? await getDepartmentUserIds(channel.departments)
+    : (await User.find({ isActive: true }).select('_id').lean()).map(user => user._id.toString());
+  const posters = await getUserIdsByRole(CHANNEL_POSTER_ROLES);
+  return [...new Set([...audience, ...posters])];
+};
+
+// Whether the user may post in the chat
+const canPostInChat = (chat, user) => chat.channelType !== 'announcement' || CHANNEL_POSTER_ROLES.includes(user.role);
+
+// Brings the channel's members in line with its audience and saves it if
+// anything changed. Users who joined or left get `groupUpdated`. Archived
+// channels keep their members, so they can still read the history.
+const syncChannel = async (io, channel) => {
+  if (!channel.isActive) {
+    if (channel.isNew || channel.isModified()) await channel.save();
+    return { added: [], removed: [] };
+  }
+
+  const memberIds = await getChannelMemberIds(channel);
+  const current = channel.participants.map(participant => participant.toString());
+  const added = memberIds.filter(id => !current.includes(id));
+  const removed = current.filter(id => !memberIds.includes(id));
+
+  if (added.length > 0 || removed.length > 0) {
+    channel.participants = memberIds;
+    channel.mutedBy = channel.mutedBy.filter(mute => memberIds.includes(mute.user.toString()));
+    added.forEach(userId => channel.memberHistory.push({ user: userId, action: 'added' }));
+    removed.forEach(userId => channel.memberHistory.push({ user: userId, action: 'removed' }));
+  }
+
+  if (channel.isNew || channel.isModified()) {
+    await channel.save();
+  }
+
+  if (io) {
+    [['added', added], ['removed', removed]].forEach(([action, userIds]) => {
+      userIds.forEach(userId => {
+        io.to(userId).emit('groupUpdated', {
+          chatId: channel._id.toString(),
+          action,
+          userIds: [userId],
+          groupName: channel.groupName
+        });
+      });
+    });
+  }
+  return { added, removed };
+};
+
+// Creates or updates the department's channel (name, archived state, members)
+const ensureDepartmentChannel = async (io, department) => {
+  const channel = await Chat.findOne({ chatType: 'channel', channelType: 'department', department: department._id })
+    || new Chat({ chatType: 'channel', channelType: 'department', department: department._id });
+
+  channel.groupName = department.name;
+  channel.isActive = department.isActive !== false;
+  await syncChannel(io, channel);
+  return channel;
+};
+
+// Re-syncs the channels a user is in or may belong in (after their account,
+// role, department or employment status changed, or they were deleted)
+const syncUserChannels = async (io, userId) => {
+  const user = await User.findById(userId).populate('employee', 'department').lean();
+  const departmentId = user?.employee?.department;
+
+  const channels = await Chat.find({
+    chatType: 'channel',
+    isActive: true,
+    $or: [
+      { participants: userId },
+      { channelType: 'announcement' },
+      ...(departmentId ? [{ department: departmentId }] : [])
+    ]
+  });
+
+  for (const channel of channels) {
+    await syncChannel(io, channel);
+  }
+};
+
+const syncEmployeeChannels = async (io, employeeId) => {
+  const user = await User.findOne({ employee: employeeId }).select('_id').lean();
+  if (user) await syncUserChannels(io, user._id);
+};
+
+// Every department gets its channel and every channel its members
+const syncAllChannels = async (io) => {
+  const departments = await Department.find().select('name isActive').lean();
+  for (const department of departments) {
+    await ensureDepartmentChannel(io, department);
+  }
+
+  const channels = await Chat.find({ chatType: 'channel', channelType: 'announcement', isActive: true });
+  for (const channel of channels) {
+    await syncChannel(io, channel);
+  }
+};
+
+module.exports = {
+  CHANNEL_POSTER_ROLES,
+  canPostInChat,
+  syncChannel,
+  ensureDepartmentChannel,
+  syncUserChannels,
+  syncEmployeeChannels,
+  syncAllChannels
+};
@@ -0,0 +1,166 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+
+// ─── Group Chats ──────────────────────────────────────────────────────
+// A group has one owner (`groupAdmin`) and any number of admins
+// (`groupAdmins`, owner included). Admins add and remove members and promote
+// other admins; only the owner removes or demotes admins. When the owner leaves
+// or their account is deactivated, ownership passes to the longest-serving
+// active admin, or else to the longest-standing active member. A deleted
+// account leaves all its groups. Membership changes are kept in
+// `memberHistory` and announced in the chat as `system` messages.
+
+const toId = (value) => (value?._id || value).toString();
+
+const isParticipant = (chat, userId) => chat.participants.some(p => toId(p) === toId(userId));
+
+// Admin IDs, owner first (chats created before there were several admins
+// only have an owner)
+const getGroupAdmins = (chat) => [...new Set([chat.groupAdmin, ...(chat.groupAdmins || [])]
+  .filter(Boolean)
+  .map(toId))];
+
+const isGroupAdmin = (chat, userId) => getGroupAdmins(chat).includes(toId(userId));
+
+const isGroupOwner = (chat, userId) => !!chat.groupAdmin && toId(chat.groupAdmin) === toId(userId);
+
+// Participants whose mute is in effect
+const getMutedUserIds = (chat, now = new Date()) => (chat.mutedBy || [])
+  .filter(mute => !mute.until || mute.until > now)
+  .map(mute => toId(mute.user));
+
+// User ID → name shown in system messages (employee name, else the email's local part)
+const getDisplayNames = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } })
+    .populate('employee', 'firstName lastName')
+    .select('email employee')
+    .lean();
+  return new Map(users.map(user => [
+    user._id.toString(),
+    user.employee ? `${user.employee.firstName} ${user.employee.lastName}` : user.email.split('@')[0]
+  ]));
+};
+
+// Posts a system message to the chat, makes it the chat's last message (saving
+// the chat) and sends it to the participants
+const postSystemMessage = async (io, chat, senderId, content) => {
+  const message = await Message.create({
+    chat: chat._id,
+    sender: senderId,
+    content,
+    messageType: 'system',
+    readBy: [{ user: senderId }]
+  });
+
+  chat.lastMessage = { content, sender: senderId, createdAt: message.createdAt };
+  await chat.save();
+
+  if (io) {
+    chat.participants.forEach(participant => {
+      io.to(toId(participant)).emit('newMessage', {
+        chatId: chat._id.toString(),
+        message: message.toObject()
+      });
+    });
+  }
+  return message;
+};
+
+// Hands ownership to the next active admin or member other than the current
+// owner, who stops being an admin. Records the change on the chat (not saved)
+// and returns the new owner's ID, or null when nobody is left to take over.
+const transferOwnership = async (chat) => {
+  const ownerId = chat.groupAdmin && toId(chat.groupAdmin);
+  const admins = getGroupAdmins(chat).filter(id => id !== ownerId);
+  const members = chat.participants.map(toId).filter(id => id !== ownerId && !admins.includes(id));
+  const candidates = [...admins.filter(id => isParticipant(chat, id)), ...members];
+
+  const activeUsers = await User.find({ _id: { $in: candidates }, isActive: true }).select('_id').lean();
+  const activeIds = new Set(activeUsers.map(user => user._id.toString()));
+  const nextOwner = candidates.find(id => activeIds.has(id));
+  if (!nextOwner) return null;
+
+  chat.groupAdmin = nextOwner;
+  chat.groupAdmins = chat.groupAdmins.filter(admin => toId(admin) !== ownerId);
+  if (!chat.groupAdmins.some(admin => toId(admin) === nextOwner)) {
+    chat.groupAdmins.push(nextOwner);
+  }
+  chat.memberHistory.push({ user: nextOwner, action: 'owner', by: ownerId });
+  return nextOwner;
+};
+
+// Passes on the groups owned by a user whose account was deactivated
+const transferGroupsOfDeactivatedUser = async (io, userId) => {
+  const chats = await Chat.find({ chatType: 'group', groupAdmin: userId, isActive: true });
+
+  for (const chat of chats) {
+    const nextOwner = await transferOwnership(chat);
+    if (!nextOwner) continue;
+
+    const names = await getDisplayNames([userId, nextOwner]);
+    await postSystemMessage(
+      io,
+      chat,
+      nextOwner,
+      `${names.get(nextOwner)} is now the group owner (${names.get(toId(userId)) || 'the owner'}'s account was deactivated)`
+    );
+  }
+};
+
+// Takes a user whose account is being deleted out of every group, after
+// transferGroupsOfDeactivatedUser has passed on the ones they owned
+const removeDeletedUserFromGroups = async (io, userId) => {
+  const id = toId(userId);
+  const chats = await Chat.find({ chatType: 'group', participants: userId });
+  if (chats.length === 0) return;
+
+  const names = await getDisplayNames([id]);
+  for (const chat of chats) {
+    chat.participants = chat.participants.filter(participant => toId(participant) !== id);
+    chat.groupAdmins = chat.groupAdmins.filter(admin => toId(admin) !== id);
+    chat.mutedBy = chat.mutedBy.filter(mute => toId(mute.user) !== id);
+    chat.memberHistory.push({ user: id, action: 'removed' });
+    // Nobody active was left to take the group over
+    if (isGroupOwner(chat, id)) chat.groupAdmin = null;
+
+    if (chat.participants.length === 0) {
+      chat.isActive = false;
+      await chat.save();
+      continue;
+    }
+
+    await postSystemMessage(
+      io,
+      chat,
+      chat.groupAdmin || chat.participants[0],
+      `${names.get(id) || 'A member'} was removed (account deleted)`
+    );
+
+    if (io) {
+      chat.participants.forEach(participant => {
+        io.to(toId(participant)).emit('groupUpdated', {
+          chatId: chat._id.toString(),
+          action: 'removed',
+          userIds: [id],
+          groupName: chat.groupName,
+          groupAdmin: chat.groupAdmin,
+          groupAdmins: getGroupAdmins(chat)
+        });
+      });
+    }
+  }
+};
+
+module.exports = {
+  isParticipant,
+  getGroupAdmins,
+  isGroupAdmin,
+  isGroupOwner,
+  getMutedUserIds,
+  getDisplayNames,
+  postSystemMessage,
+  transferOwnership,
+  transferGroupsOfDeactivatedUser,
+  removeDeletedUserFromGroups
+};
@@ -0,0 +1,59 @@
+const { addDays, startOfDay } = require('./timezone');
+
+// ─── Compensatory Off ─────────────────────────────────────────────────
+// A checked-out shift earns comp-off credit when:
+//   • overtime reaches overtimeThresholdHours — half a day per half of
+//     hoursPerDay of overtime, at least half a day
+//   • it falls on a holiday or weekend — half a day for working half of
+//     hoursPerDay, a full day for hoursPerDay or more
+// One credit per shift. Credits wait for HR approval; approved credits are added
+// to the comp-off leave balance and lapse expiryDays after the day they were earned.
+
+const COMP_OFF_DEFAULTS = {
+  enabled: true,
+  overtimeThresholdHours: 2,
+  hoursPerDay: 8,
+  expiryDays: 90
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Whole half days
+const toHalfDays = (days) => Math.floor(days * 2) / 2;
+
+const getCompOffConfig = (settings) => {
+  const compOff = settings?.compOff || {};
+  return Object.fromEntries(Object.entries(COMP_OFF_DEFAULTS).map(([key, fallback]) => [
+    key,
+    compOff[key] ?? fallback
+  ]));
+};
+
+// Credit earned by one attendance row, or null. `dayStatus` is 'holiday',
+// 'weekend' or null for the row's shift date.
+const calculateCompOffCredit = (attendance, dayStatus, config) => {
+  if (dayStatus) {
+    const hours = attendance.workingHours || 0;
+    const days = Math.min(1, toHalfDays(hours / config.hoursPerDay));
+    return days > 0 ? { source: dayStatus, hours: round(hours), days } : null;
+  }
+
+  const overtime = attendance.overtime || 0;
+  if (overtime <= 0 || overtime < config.overtimeThresholdHours) return null;
+  return {
+    source: 'overtime',
+    hours: round(overtime),
+    days: Math.max(0.5, toHalfDays(overtime / config.hoursPerDay))
+  };
+};
+
+// Expiry date for a credit earned on `date` (null when credits don't expire)
+const getCompOffExpiry = (date, config, timezone) => (
+  config.expiryDays > 0 ? addDays(startOfDay(date, timezone), config.expiryDays, timezone) : null
+);
+
+module.exports = {
+  getCompOffConfig,
+  calculateCompOffCredit,
+  getCompOffExpiry
+};
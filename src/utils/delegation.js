@@ -0,0 +1,162 @@
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const Meeting = require('../models/Meeting');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { PARTIAL_DURATIONS } = require('./partialLeave');
+const { endOfDay, toDateKey, isValidTimezone, getOrgTimezone } = require('./timezone');
+
+// ─── Leave Delegation / Out of Office ─────────────────────────────────
+// While an approved full-day leave runs (startDate until the end of endDate in
+// the employee's timezone):
+//   • new tasks for the employee are also assigned to the leave's delegate
+//   • meeting invites show the employee as 'on-leave'
+//   • private chats get one automatic out-of-office reply per leave
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getLeaveEnd = (leave, timezone) => endOfDay(leave.endDate, timezone);
+
+// Approved full-day leaves of these employees overlapping [from, to].
+// `employee` and `delegate` are populated; each leave gets `timezone` and `until`.
+const findLeavesDuring = async (employeeIds, from, to = from) => {
+  if (employeeIds.length === 0) return [];
+
+  const [leaves, orgTimezone] = await Promise.all([
+    Leave.find({
+      employee: { $in: employeeIds },
+      status: 'approved',
+      duration: { $nin: PARTIAL_DURATIONS },
+      startDate: { $lte: to },
+      endDate: { $gte: new Date(from.getTime() - DAY_MS) }
+    })
+      .populate('employee', 'firstName lastName timezone')
+      .populate('delegate', 'firstName lastName status')
+      .lean(),
+    getOrgTimezone()
+  ]);
+
+  return leaves
+    .filter(leave => leave.employee)
+    .map(leave => {
+      const timezone = isValidTimezone(leave.employee.timezone) ? leave.employee.timezone : orgTimezone;
+      return { ...leave, timezone, until: getLeaveEnd(leave, timezone) };
+    })
+    .filter(leave => leave.until >= from);
+};
+
+// employeeId → leave running at `at`
+const getActiveLeaves = async (employeeIds, at = new Date()) => {
+  const leaves = await findLeavesDuring(employeeIds, at);
+  return new Map(leaves.map(leave => [leave.employee._id.toString(), leave]));
+};
+
+// ── Tasks ──
+
+// Adds the delegate of every assignee on leave. Returns the new assignee list and
+// a delegation record per assignee on leave (delegate null when none is named).
+const routeTaskToDelegates = async (assignedTo) => {
+  const assignees = [...new Set([].concat(assignedTo || []).filter(Boolean).map(id => id.toString()))];
+  const activeLeaves = await getActiveLeaves(assignees);
+  const delegations = [];
+
+  for (const employeeId of [...assignees]) {
+    const leave = activeLeaves.get(employeeId);
+    if (!leave) continue;
+
+    const delegate = leave.delegate?.status === 'active' ? leave.delegate._id.toString() : null;
+    delegations.push({ employee: employeeId, delegate, leave: leave._id, until: leave.until });
+    if (delegate && !assignees.includes(delegate)) {
+      assignees.push(delegate);
+    }
+  }
+
+  return { assignedTo: assignees, delegations };
+};
+
+// ── Meetings ──
+
+// Attendees on leave during the meeting are marked 'on-leave'
+const markAttendeesOnLeave = async (attendees = [], startTime, endTime) => {
+  const employeeIds = attendees.map(a => a.employee).filter(Boolean);
+  const leaves = await findLeavesDuring(employeeIds, startTime, endTime);
+  const onLeave = new Set(leaves.map(leave => leave.employee._id.toString()));
+
+  return attendees.map(attendee => (
+    attendee.employee && onLeave.has(attendee.employee.toString())
+      ? { ...attendee, status: 'on-leave' }
+      : attendee
+  ));
+};
+
+// When a leave is approved (or cancelled), update unanswered invites to meetings
+// during it. `onLeave` false puts 'on-leave' invites back to pending.
+const updateMeetingsForLeave = async (leave, onLeave = true) => {
+  const employee = await Employee.findById(leave.employee).select('timezone').lean();
+  const timezone = isValidTimezone(employee?.timezone) ? employee.timezone : await getOrgTimezone();
+  const fromStatuses = onLeave ? ['pending', 'tentative'] : ['on-leave'];
+
+  const result = await Meeting.updateMany(
+    {
+      status: { $in: ['scheduled', 'postponed'] },
+      startTime: { $lte: getLeaveEnd(leave, timezone) },
+      endTime: { $gte: leave.startDate },
+      attendees: { $elemMatch: { employee: leave.employee, status: { $in: fromStatuses } } }
+    },
+    { $set: { 'attendees.$[attendee].status': onLeave ? 'on-leave' : 'pending' } },
+    { arrayFilters: [{ 'attendee.employee': leave.employee, 'attendee.status': { $in: fromStatuses } }] }
+  );
+  return result.modifiedCount;
+};
+
+// ── Chat ──
+
+const buildOutOfOfficeMessage = (leave) => {
+  const parts = [`Out of office until ${toDateKey(leave.endDate, leave.timezone)}.`];
+  if (leave.outOfOfficeMessage) {
+    parts.push(leave.outOfOfficeMessage);
+  }
+  if (leave.delegate) {
+    parts.push(`For anything urgent please contact ${leave.delegate.firstName} ${leave.delegate.lastName}.`);
+  }
+  return parts.join(' ');
+};
+
+// Adds an out-of-office reply to a private chat for each other participant on
+// leave who hasn't replied for that leave yet. Returns the created messages.
+const addOutOfOfficeReplies = async (chat, senderId) => {
+  if (chat.chatType !== 'private') return [];
+
+  const recipients = await User.find({
+    _id: { $in: chat.participants.filter(p => p.toString() !== senderId.toString()) },
+    employee: { $ne: null }
+  }).select('_id employee').lean();
+  const activeLeaves = await getActiveLeaves(recipients.map(user => user.employee));
+
+  const replies = [];
+  for (const user of recipients) {
+    const leave = activeLeaves.get(user.employee.toString());
+    if (!leave) continue;
+    const alreadyReplied = await Message.exists({ chat: chat._id, autoReplyFor: leave._id });
+    if (alreadyReplied) continue;
+
+    replies.push(await Message.create({
+      chat: chat._id,
+      sender: user._id,
+      content: buildOutOfOfficeMessage(leave),
+      messageType: 'system',
+      autoReplyFor: leave._id,
+      readBy: [{ user: user._id }]
+    }));
+  }
+  return replies;
+};
+
+module.exports = {
+  getActiveLeaves,
+  findLeavesDuring,
+  routeTaskToDelegates,
+  markAttendeesOnLeave,
+  updateMeetingsForLeave,
+  addOutOfOfficeReplies
+};
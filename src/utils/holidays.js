@@ -0,0 +1,128 @@
+const Holiday = require('../models/Holiday');
+const Settings = require('../models/Settings');
+const {
+  getZonedParts,
+  startOfDay,
+  addDays,
+  toDateKey,
+  getOrgTimezone,
+  getEmployeeTimezone
+} = require('./timezone');
+
+// ─── Holiday Calendar Helpers ─────────────────────────────────────────
+// Holidays are calendar dates. They are compared by 'YYYY-MM-DD' key so a
+// holiday stored in the organization timezone also applies to employees
+// with their own timezone override.
+
+const getWeekendDays = async () => {
+  const settings = await Settings.getSettings();
+  return settings.weekendDays || [];
+};
+
+const isWeekend = (date, timezone, weekendDays) => {
+  return weekendDays.includes(getZonedParts(date, timezone).weekday);
+};
+
+// Map of 'YYYY-MM-DD' → holiday for every holiday between start and end,
+// with recurring holidays expanded into each year of the range.
+// When a department is given, only company-wide and that department's holidays are included.
+const getHolidayMap = async (start, end, { department } = {}) => {
+  const orgTimezone = await getOrgTimezone();
+  const startYear = getZonedParts(start, orgTimezone).year;
+  const endYear = getZonedParts(end, orgTimezone).year;
+
+  const query = {
+    isActive: true,
+    $or: [
+      { isRecurring: true },
+      // Pad by a day each side: the range may be in another timezone
+      { date: { $gte: addDays(start, -1, orgTimezone), $lte: addDays(end, 1, orgTimezone) } }
+    ]
+  };
+  if (department) {
+    query.$and = [{
+      $or: [
+        { departments: { $size: 0 } },
+        { departments: department._id || department }
+      ]
+    }];
+  }
+
+  const holidays = await Holiday.find(query).lean();
+
+  const holidayMap = new Map();
+  holidays.forEach(holiday => {
+    const key = toDateKey(holiday.date, orgTimezone);
+    if (!holiday.isRecurring) {
+      holidayMap.set(key, holiday);
+      return;
+    }
+    const holidayYear = Number(key.slice(0, 4));
+    for (let year = Math.max(startYear, holidayYear); year <= endYear; year++) {
+      holidayMap.set(`${year}${key.slice(4)}`, holiday);
+    }
+  });
+  return holidayMap;
+};
+
+// 'holiday', 'weekend' or null for a single day
+const getDayStatus = async (date, { department, timezone } = {}) => {
+  const tz = timezone || await getOrgTimezone();
+  const [holidayMap, weekendDays] = await Promise.all([
+    getHolidayMap(date, date, { department }),
+    getWeekendDays()
+  ]);
+
+  const holiday = holidayMap.get(toDateKey(date, tz));
+  if (holiday) return { status: 'holiday', holiday };
+  if (isWeekend(date, tz, weekendDays)) return { status: 'weekend' };
+  return { status: null };
+};
+
+// Working days between two dates (inclusive), leaving out holidays and weekends.
+// Returns the count plus the excluded days so callers can explain the total.
+const countWorkingDays = async (start, end, { department, timezone } = {}) => {
+  const tz = timezone || await getOrgTimezone();
+  const first = startOfDay(start, tz);
+  const last = startOfDay(end, tz);
+
+  const [holidayMap, weekendDays] = await Promise.all([
+    getHolidayMap(first, last, { department }),
+    getWeekendDays()
+  ]);
+
+  let workingDays = 0;
+  const excluded = [];
+  for (let day = first; day <= last; day = addDays(day, 1, tz)) {
+    const key = toDateKey(day, tz);
+    const holiday = holidayMap.get(key);
+    if (holiday) {
+      excluded.push({ date: key, reason: 'holiday', name: holiday.name });
+    } else if (isWeekend(day, tz, weekendDays)) {
+      excluded.push({ date: key, reason: 'weekend' });
+    } else {
+      workingDays++;
+    }
+  }
+
+  return { workingDays, excluded };
+};
+
+// Working days for an employee, using their department's holidays and their timezone
+const countEmployeeWorkingDays = async (employeeId, start, end) => {
+  const Employee = require('../models/Employee');
+  const employee = await Employee.findById(employeeId?._id || employeeId)
+    .select('department timezone')
+    .lean();
+  const timezone = await getEmployeeTimezone(employee || employeeId);
+  return countWorkingDays(start, end, { department: employee?.department, timezone });
+};
+
+module.exports = {
+  getWeekendDays,
+  isWeekend,
+  getHolidayMap,
+  getDayStatus,
+  countWorkingDays,
+  countEmployeeWorkingDays
+};
@@ -0,0 +1,384 @@
+const CompOffCredit = require('../models/CompOffCredit');
+const Leave = require('../models/Leave');
+const LeaveLedger = require('../models/LeaveLedger');
+const LeavePolicy = require('../models/LeavePolicy');
+const {
+  getZonedParts,
+  fromZonedParts,
+  startOfDay,
+  endOfMonth,
+  startOfYear,
+  endOfYear,
+  toDateKey,
+  getEmployeeTimezone
+} = require('./timezone');
+
+// ─── Leave Accrual ────────────────────────────────────────────────────
+// Entitlements live in the LeaveLedger, one entry per accrual, carry-forward,
+// expiry, approved leave (deduction), cancellation (reversal) and manual
+// adjustment. Automatic entries carry a unique key, so accrual can run any
+// number of times and only writes what is missing.
+//
+// Balance for a leave year = entitlement (accrued + carried - expired ± adjusted)
+//                            - used (approved) - pending
+//
+// Comp-off is earned per shift rather than per year, so its balance covers
+// every year: approved comp-off credits count as accrued.
+
+const roundDays = (value) => Math.round(value * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Accrual entries due for one policy in `year`, up to `now`
+const getAccrualEntries = (employee, policy, year, now, timezone) => {
+  const today = getZonedParts(now, timezone);
+  const joined = employee.dateOfJoining ? getZonedParts(employee.dateOfJoining, timezone) : null;
+  if (year > today.year || (joined && joined.year > year)) return [];
+
+  const joinedThisYear = joined && joined.year === year;
+  const prorate = joinedThisYear && policy.prorateFromJoining !== false;
+  const prefix = `accrual:${employee._id}:${policy.leaveType}:${year}`;
+
+  if (policy.accrualFrequency === 'monthly') {
+    const entries = [];
+    const firstMonth = joinedThisYear ? joined.month : 1;
+    const lastMonth = year < today.year ? 12 : today.month;
+    for (let month = firstMonth; month <= lastMonth; month++) {
+      const monthStart = fromZonedParts({ year, month, day: 1 }, timezone);
+      let days = policy.yearlyLimit / 12;
+      let effectiveDate = monthStart;
+      if (joinedThisYear && month === joined.month) {
+        effectiveDate = startOfDay(employee.dateOfJoining, timezone);
+        if (prorate) {
+          const daysInMonth = getZonedParts(endOfMonth(monthStart, timezone), timezone).day;
+          days = days * (daysInMonth - joined.day + 1) / daysInMonth;
+        }
+      }
+      entries.push({
+        key: `${prefix}-${pad(month)}`,
+        days: roundDays(days),
+        effectiveDate,
+        description: `Monthly accrual for ${year}-${pad(month)}`
+      });
+    }
+    return entries;
+  }
+
+  // Yearly: whole months from the joining month when pro-rated
+  const days = prorate ? policy.yearlyLimit * (12 - joined.month + 1) / 12 : policy.yearlyLimit;
+  return [{
+    key: prefix,
+    days: roundDays(days),
+    effectiveDate: joinedThisYear ? startOfDay(employee.dateOfJoining, timezone) : fromZonedParts({ year, month: 1, day: 1 }, timezone),
+    description: prorate ? `Yearly entitlement for ${year} (pro-rated from joining)` : `Yearly entitlement for ${year}`
+  }];
+};
+
+const sumDays = async (match) => {
+  const [result] = await LeaveLedger.aggregate([
+    { $match: match },
+    { $group: { _id: null, days: { $sum: '$days' } } }
+  ]);
+  return result ? result.days : 0;
+};
+
+const writeEntries = async (entries) => {
+  if (entries.length === 0) return 0;
+  const result = await LeaveLedger.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { key: entry.key },
+      update: { $setOnInsert: entry },
+      upsert: true
+    }
+  })), { ordered: false });
+  return result.upsertedCount;
+};
+
+// Ledger entry for an approved leave (idempotent per leave)
+const buildDeductionEntry = (leave, timezone) => ({
+  key: `deduction:${leave._id}`,
+  employee: leave.employee,
+  leaveType: leave.leaveType,
+  year: getZonedParts(leave.startDate, timezone).year,
+  entryType: 'deduction',
+  days: -leave.totalDays,
+  effectiveDate: leave.startDate,
+  leave: leave._id,
+  description: `${leave.totalDays} day(s) of ${leave.leaveType} leave`
+});
+
+const recordLeaveDeduction = async (leave) => {
+  const timezone = await getEmployeeTimezone(leave.employee);
+  return writeEntries([buildDeductionEntry(leave, timezone)]);
+};
+
+// Gives the days of a previously approved leave back (e.g. on cancellation)
+const recordLeaveReversal = async (leave, userId) => {
+  const deduction = await LeaveLedger.findOne({ key: `deduction:${leave._id}` }).lean();
+  if (!deduction) return 0;
+  return writeEntries([{
+    key: `reversal:${leave._id}`,
+    employee: leave.employee,
+    leaveType: deduction.leaveType,
+    year: deduction.year,
+    entryType: 'reversal',
+    days: -deduction.days,
+    effectiveDate: new Date(),
+    leave: leave._id,
+    description: 'Leave cancelled',
+    createdBy: userId
+  }]);
+};
+
+// Ledger entry for an approved comp-off credit (idempotent per credit)
+const recordCompOffCredit = async (credit, userId) => {
+  const timezone = await getEmployeeTimezone(credit.employee);
+  return writeEntries([{
+    key: `comp-off:${credit._id}`,
+    employee: credit.employee,
+    leaveType: 'comp-off',
+    year: getZonedParts(credit.date, timezone).year,
+    entryType: 'comp-off',
+    days: credit.days,
+    effectiveDate: credit.date,
+    compOffCredit: credit._id,
+    description: `Comp-off for ${credit.source} work on ${toDateKey(credit.date, timezone)}`,
+    createdBy: userId
+  }]);
+};
+
+// Comp-off is used from the credit that expires first; whatever is left of a
+// credit on its expiry date lapses. Credits without an expiry date never lapse.
+const getCompOffExpiryEntries = async (employeeId, now, timezone) => {
+  const credits = await CompOffCredit.find({ employee: employeeId, status: 'approved' })
+    .select('date days expiresOn')
+    .lean();
+  const expired = credits
+    .filter(credit => credit.expiresOn && credit.expiresOn <= now)
+    .sort((a, b) => a.expiresOn - b.expiresOn);
+  if (expired.length === 0) return [];
+
+  const recorded = await LeaveLedger.find({ key: { $in: expired.map(credit => `comp-off-expiry:${credit._id}`) } })
+    .select('key')
+    .lean();
+  const recordedKeys = new Set(recorded.map(entry => entry.key));
+
+  let balance = await sumDays({ employee: employeeId, leaveType: 'comp-off' });
+  const entries = [];
+  for (const credit of expired) {
+    const key = `comp-off-expiry:${credit._id}`;
+    if (recordedKeys.has(key)) continue;
+
+    // Days still held in credits that expire later are not this credit's
+    const laterDays = credits
+      .filter(other => !other.expiresOn || other.expiresOn > credit.expiresOn)
+      .reduce((total, other) => total + other.days, 0);
+    const unused = roundDays(Math.min(credit.days, Math.max(0, balance - laterDays)));
+    if (unused <= 0) continue;
+
+    balance -= unused;
+    entries.push({
+      key,
+      employee: employeeId,
+      leaveType: 'comp-off',
+      year: getZonedParts(credit.date, timezone).year,
+      entryType: 'expiry',
+      days: -unused,
+      effectiveDate: credit.expiresOn,
+      compOffCredit: credit._id,
+      description: `Unused comp-off earned on ${toDateKey(credit.date, timezone)} expired`
+    });
+  }
+  return entries;
+};
+
+const recordCompOffExpiry = async (employee, now = new Date()) => {
+  const timezone = await getEmployeeTimezone(employee);
+  return writeEntries(await getCompOffExpiryEntries(employee._id || employee, now, timezone));
+};
+
+// Bring one employee's ledger up to date for the current leave year:
+// accruals, carry-forward from last year, expiry of unused carried days,
+// a deduction for every approved leave of the year, and comp-off expiry.
+const accrueEmployee = async (employee, policies, now = new Date()) => {
+  const timezone = await getEmployeeTimezone(employee);
+  const year = getZonedParts(now, timezone).year;
+  const yearStart = startOfYear(now, timezone);
+  const entries = [];
+
+  for (const policy of policies) {
+    if (!(policy.yearlyLimit > 0)) continue;
+    const base = { employee: employee._id, leaveType: policy.leaveType };
+
+    getAccrualEntries(employee, policy, year, now, timezone).forEach(entry => {
+      entries.push({ ...base, ...entry, year, entryType: 'accrual' });
+    });
+
+    if (!(policy.carryForwardLimit > 0)) continue;
+
+    // Carry-forward only when last year was tracked in the ledger, so a fresh
+    // install doesn't hand out a full year of unused days to everyone
+    const previousYear = year - 1;
+    const previousYearTracked = await LeaveLedger.exists({ ...base, year: previousYear });
+    if (previousYearTracked) {
+      const previousAccruals = getAccrualEntries(employee, policy, previousYear, now, timezone)
+        .map(entry => ({ ...base, ...entry, year: previousYear, entryType: 'accrual' }));
+      await writeEntries(previousAccruals);
+
+      const unused = await sumDays({ ...base, year: previousYear });
+      const carried = roundDays(Math.min(policy.carryForwardLimit, Math.max(0, unused)));
+      if (carried > 0) {
+        entries.push({
+          ...base,
+          key: `carry-forward:${employee._id}:${policy.leaveType}:${year}`,
+          year,
+          entryType: 'carry-forward',
+          days: carried,
+          effectiveDate: yearStart,
+          description: `Carried forward from ${previousYear}`
+        });
+      }
+    }
+
+    // Carried days are used first; whatever is left at the expiry date lapses
+    if (policy.carryForwardExpiryMonths > 0) {
+      const expiryDate = fromZonedParts({ year, month: policy.carryForwardExpiryMonths + 1, day: 1 }, timezone);
+      const carriedEntry = entries.find(e => e.entryType === 'carry-forward' && e.leaveType === policy.leaveType)
+        || await LeaveLedger.findOne({ ...base, year, entryType: 'carry-forward' }).lean();
+      if (carriedEntry && now >= expiryDate) {
+        const usedBeforeExpiry = -(await sumDays({
+          ...base,
+          year,
+          entryType: { $in: ['deduction', 'reversal'] },
+          effectiveDate: { $lt: expiryDate }
+        }));
+        const expired = roundDays(Math.max(0, carriedEntry.days - usedBeforeExpiry));
+        if (expired > 0) {
+          entries.push({
+            ...base,
+            key: `expiry:${employee._id}:${policy.leaveType}:${year}`,
+            year,
+            entryType: 'expiry',
+            days: -expired,
+            effectiveDate: expiryDate,
+            description: `Unused carried-forward days expired after ${policy.carryForwardExpiryMonths} month(s)`
+          });
+        }
+      }
+    }
+  }
+
+  // Approved leave of the year (covers leave approved before the ledger existed)
+  const approvedLeaves = await Leave.find({
+    employee: employee._id,
+    status: 'approved',
+    startDate: { $gte: yearStart, $lte: endOfYear(now, timezone) }
+  }).select('employee leaveType startDate totalDays').lean();
+  approvedLeaves.forEach(leave => entries.push(buildDeductionEntry(leave, timezone)));
+
+  entries.push(...await getCompOffExpiryEntries(employee._id, now, timezone));
+
+  return writeEntries(entries);
+};
+
+// Balances per leave type for the employee's current (or given) leave year.
+// Only reads the ledger: accrual is written by the accrueLeave job, or on
+// demand through POST /api/leaves/ledger/accrue.
+const getLeaveBalances = async (employee, { year } = {}) => {
+  const Employee = require('../models/Employee');
+  const employeeDoc = employee.dateOfJoining !== undefined
+    ? employee
+    : await Employee.findById(employee._id || employee).select('_id dateOfJoining timezone').lean();
+
+  const policies = await LeavePolicy.find({ isActive: true }).lean();
+
+  const timezone = await getEmployeeTimezone(employeeDoc);
+  const balanceYear = year || getZonedParts(new Date(), timezone).year;
+  const yearStart = fromZonedParts({ year: balanceYear, month: 1, day: 1 }, timezone);
+
+  const [ledgerTotals, pendingTotals] = await Promise.all([
+    LeaveLedger.aggregate([
+      {
+        $match: {
+          employee: employeeDoc._id,
+          $or: [{ year: balanceYear }, { leaveType: 'comp-off' }]
+        }
+      },
+      { $group: { _id: { leaveType: '$leaveType', entryType: '$entryType' }, days: { $sum: '$days' } } }
+    ]),
+    Leave.aggregate([
+      {
+        $match: {
+          employee: employeeDoc._id,
+          status: 'pending',
+          $or: [
+            { startDate: { $gte: yearStart, $lte: endOfYear(yearStart, timezone) } },
+            { leaveType: 'comp-off' }
+          ]
+        }
+      },
+      { $group: { _id: '$leaveType', days: { $sum: '$totalDays' } } }
+    ])
+  ]);
+
+  const balances = {};
+  const getBalance = (leaveType) => {
+    if (!balances[leaveType]) {
+      const policy = policies.find(p => p.leaveType === leaveType);
+      balances[leaveType] = {
+        yearlyLimit: policy ? policy.yearlyLimit : 0,
+        accrualFrequency: policy ? policy.accrualFrequency : null,
+        accrued: 0,
+        carriedForward: 0,
+        expired: 0,
+        adjusted: 0,
+        entitlement: 0,
+        used: 0,
+        pending: 0,
+        available: 0
+      };
+    }
+    return balances[leaveType];
+  };
+
+  policies.forEach(policy => getBalance(policy.leaveType));
+  getBalance('comp-off');
+
+  const fieldByEntryType = {
+    accrual: 'accrued',
+    'comp-off': 'accrued',
+    'carry-forward': 'carriedForward',
+    expiry: 'expired',
+    adjustment: 'adjusted',
+    deduction: 'used',
+    reversal: 'used'
+  };
+  ledgerTotals.forEach(({ _id, days }) => {
+    const balance = getBalance(_id.leaveType);
+    const field = fieldByEntryType[_id.entryType];
+    // used and expired are shown as positive day counts
+    balance[field] += ['used', 'expired'].includes(field) ? -days : days;
+  });
+  pendingTotals.forEach(({ _id, days }) => {
+    getBalance(_id).pending += days;
+  });
+
+  Object.values(balances).forEach(balance => {
+    Object.keys(balance).forEach(field => {
+      if (typeof balance[field] === 'number') balance[field] = roundDays(balance[field]);
+    });
+    balance.entitlement = roundDays(balance.accrued + balance.carriedForward - balance.expired + balance.adjusted);
+    balance.available = roundDays(balance.entitlement - balance.used - balance.pending);
+  });
+
+  return { year: balanceYear, balances };
+};
+
+module.exports = {
+  recordLeaveDeduction,
+  recordLeaveReversal,
+  recordCompOffCredit,
+  recordCompOffExpiry,
+  accrueEmployee,
+  getLeaveBalances
+};
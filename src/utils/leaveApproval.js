@@ -0,0 +1,145 @@
+const Department = require('../models/Department');
+const Employee = require('../models/Employee');
+const LeaveApprovalChain = require('../models/LeaveApprovalChain');
+const User = require('../models/User');
+
+// ─── Leave Approval Chains ────────────────────────────────────────────
+// A leave request gets its steps from the most specific approval chain when it
+// is submitted. Each step is acted on by the approver it names; the leave stays
+// pending until every step has passed, and any step can reject it.
+// Without a configured chain a single HR step is used, which anyone allowed to
+// approve leaves before chains existed (HR or above, managers included) acts on.
+
+const DEFAULT_STEPS = [{ approver: 'hr', aboveDays: 0 }];
+
+const APPROVER_LABELS = {
+  manager: 'direct manager',
+  'department-head': 'department head',
+  hr: 'HR',
+  boss: 'boss'
+};
+
+// Roles that can act on the role-based steps (the hr step keeps the roles of
+// isHROrAbove)
+const STEP_ROLES = {
+  hr: ['hr', 'manager', 'boss', 'admin'],
+  boss: ['boss', 'admin']
+};
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Most specific active chain for a department / leave type
+const findApprovalChain = async (departmentId, leaveType) => {
+  const chains = await LeaveApprovalChain.find({
+    isActive: true,
+    department: { $in: [departmentId || null, null] },
+    leaveType: { $in: [leaveType, null] }
+  }).lean();
+
+  const specificity = (chain) => (chain.department ? 2 : 0) + (chain.leaveType ? 1 : 0);
+  return chains.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+// Employee IDs of the people behind the manager / department-head steps
+const getStepApprovers = async (employeeId) => {
+  const employee = await Employee.findById(toId(employeeId)).select('manager department').lean();
+  const department = employee?.department
+    ? await Department.findById(employee.department).select('head').lean()
+    : null;
+  return {
+    employee: toId(employeeId),
+    department: toId(employee?.department),
+    manager: toId(employee?.manager),
+    'department-head': toId(department?.head)
+  };
+};
+
+// Steps for a new request. Steps whose day threshold the request doesn't reach
+// are left out; manager / department-head steps with nobody to act (or where
+// that person is the requester) are kept as skipped so the trail shows why.
+const buildApprovalSteps = async ({ employee, leaveType, totalDays }) => {
+  const approvers = await getStepApprovers(employee);
+  const chain = await findApprovalChain(approvers.department, leaveType);
+
+  // A person approves once, so a step falling to someone who has an earlier step is skipped
+  const personIds = [];
+  const steps = (chain ? chain.steps : DEFAULT_STEPS)
+    .filter(step => totalDays > (step.aboveDays || 0))
+    .map(step => {
+      const personId = approvers[step.approver];
+      const personBased = ['manager', 'department-head'].includes(step.approver);
+      if (personBased && (!personId || personId === approvers.employee)) {
+        return {
+          approver: step.approver,
+          status: 'skipped',
+          comments: `No ${APPROVER_LABELS[step.approver]} to approve`
+        };
+      }
+      if (personBased && personIds.includes(personId)) {
+        return {
+          approver: step.approver,
+          status: 'skipped',
+          comments: `The ${APPROVER_LABELS[step.approver]} already has an earlier step`
+        };
+      }
+      if (personBased) personIds.push(personId);
+      return { approver: step.approver, status: 'pending' };
+    });
+
+  // Someone always has to approve
+  if (!steps.some(step => step.status === 'pending')) {
+    steps.push({ approver: 'hr', status: 'pending' });
+  }
+  return steps;
+};
+
+// Leaves submitted before approval chains existed get the default HR step
+const ensureApprovalSteps = (leave) => {
+  if (leave.approvalSteps.length === 0) {
+    leave.approvalSteps = DEFAULT_STEPS.map(step => ({ approver: step.approver, status: 'pending' }));
+  }
+};
+
+const getCurrentStep = (leave) => leave.approvalSteps.find(step => step.status === 'pending') || null;
+
+// Whether the user approved an earlier step of the leave
+const hasApprovedEarlierStep = (leave, user) => leave.approvalSteps
+  .some(step => step.status === 'approved' && toId(step.actedBy) === toId(user._id));
+
+// Whether a user can act on the leave's current step. Nobody acts on their own
+// leave, and nobody approves two steps of the same leave.
+const canActOnStep = (user, leave, approvers) => {
+  const step = getCurrentStep(leave);
+  const userEmployeeId = toId(user.employee);
+  if (!step || userEmployeeId === approvers.employee) return false;
+  if (hasApprovedEarlierStep(leave, user)) return false;
+  if (STEP_ROLES[step.approver]) return STEP_ROLES[step.approver].includes(user.role);
+  return !!userEmployeeId && approvers[step.approver] === userEmployeeId;
+};
+
+// User IDs of everyone who can act on the leave's current step (for notifications)
+const getStepUserIds = async (leave, approvers) => {
+  const step = getCurrentStep(leave);
+  if (!step) return [];
+  const roles = STEP_ROLES[step.approver];
+  if (!roles && !approvers[step.approver]) return [];
+  const users = await User.find({
+    ...(roles ? { role: { $in: roles } } : { employee: approvers[step.approver] }),
+    isActive: true
+  }).select('_id employee').lean();
+  return users
+    .filter(user => toId(user.employee) !== approvers.employee && !hasApprovedEarlierStep(leave, user))
+    .map(user => user._id.toString());
+};
+
+module.exports = {
+  APPROVER_LABELS,
+  findApprovalChain,
+  getStepApprovers,
+  buildApprovalSteps,
+  ensureApprovalSteps,
+  getCurrentStep,
+  hasApprovedEarlierStep,
+  canActOnStep,
+  getStepUserIds
+};
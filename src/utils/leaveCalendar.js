@@ -0,0 +1,216 @@
+const Attendance = require('../models/Attendance');
+const Department = require('../models/Department');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const { getHolidayMap, getWeekendDays, isWeekend } = require('./holidays');
+const { isPartialLeave } = require('./partialLeave');
+const { startOfDay, addDays, toDateKey, getOrgTimezone } = require('./timezone');
+
+// ─── Leave Calendar / Staffing ────────────────────────────────────────
+// Calendar days are in the organization timezone. A leave covers a day from its
+// start date through its end date; half-day and hourly leave count for their
+// fraction of a day towards staffing.
+
+const STAFFED_STATUSES = ['active', 'on-leave'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const getDays = (start, end, timezone) => {
+  const days = [];
+  for (let day = startOfDay(start, timezone); day <= end; day = addDays(day, 1, timezone)) {
+    days.push(day);
+  }
+  return days;
+};
+
+const leaveCoversDay = (leave, day, timezone) => startOfDay(leave.startDate, timezone) <= day && leave.endDate >= day;
+
+const leaveWeight = (leave) => (isPartialLeave(leave) ? leave.totalDays : 1);
+
+// 'holiday' / 'weekend' / null for every day, with the holiday name
+const getDayStatuses = async (days, timezone, department) => {
+  const [holidayMap, weekendDays] = await Promise.all([
+    getHolidayMap(days[0], days[days.length - 1], { department }),
+    getWeekendDays()
+  ]);
+  return days.map(day => {
+    const holiday = holidayMap.get(toDateKey(day, timezone));
+    if (holiday) return { dayStatus: 'holiday', holiday: holiday.name };
+    if (isWeekend(day, timezone, weekendDays)) return { dayStatus: 'weekend' };
+    return { dayStatus: null };
+  });
+};
+
+// Staffing of one department on each working day between start and end:
+//   headcount   active employees
+//   onLeave     on approved leave
+//   pending     on leave still awaiting approval
+//   available   headcount - onLeave
+//   belowMinimum / atRisk   available (without / with pending leave) under minStaffing
+const getDepartmentStaffing = async (department, start, end, timezone) => {
+  const employees = await Employee.find({ department: department._id, status: { $in: STAFFED_STATUSES } })
+    .select('_id')
+    .lean();
+  const leaves = await Leave.find({
+    employee: { $in: employees.map(e => e._id) },
+    status: { $in: ['approved', 'pending'] },
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  }).select('employee status duration totalDays startDate endDate').lean();
+
+  const days = getDays(start, end, timezone);
+  const statuses = await getDayStatuses(days, timezone, department._id);
+  const minStaffing = department.minStaffing || 0;
+
+  return days.map((day, index) => {
+    const date = toDateKey(day, timezone);
+    if (statuses[index].dayStatus) return { date, ...statuses[index] };
+
+    const covering = leaves.filter(leave => leaveCoversDay(leave, day, timezone));
+    const total = (status) => round(covering
+      .filter(leave => leave.status === status)
+      .reduce((sum, leave) => sum + leaveWeight(leave), 0));
+    const onLeave = total('approved');
+    const pending = total('pending');
+    const available = round(employees.length - onLeave);
+
+    return {
+      date,
+      dayStatus: null,
+      headcount: employees.length,
+      onLeave,
+      pending,
+      available,
+      minStaffing,
+      belowMinimum: minStaffing > 0 && available < minStaffing,
+      atRisk: minStaffing > 0 && available - pending < minStaffing,
+      pendingLeaves: covering.filter(leave => leave.status === 'pending').map(leave => leave._id)
+    };
+  });
+};
+
+// Warnings for working days where approving this leave would leave its
+// department with fewer people than the department's minStaffing
+const checkLeaveStaffing = async (leave) => {
+  const employee = await Employee.findById(leave.employee)
+    .select('department')
+    .populate('department', 'name minStaffing')
+    .lean();
+  const department = employee?.department;
+  if (!(department?.minStaffing > 0)) return [];
+
+  const timezone = await getOrgTimezone();
+  const days = await getDepartmentStaffing(department, startOfDay(leave.startDate, timezone), leave.endDate, timezone);
+  const weight = leaveWeight(leave);
+
+  return days
+    .filter(day => !day.dayStatus)
+    .map(day => ({ ...day, afterApproval: round(day.available - (leave.status === 'approved' ? 0 : weight)) }))
+    .filter(day => day.afterApproval < department.minStaffing)
+    .map(day => ({
+      rule: 'staffing',
+      message: `${department.name} would have ${Math.max(0, day.afterApproval)} of the minimum ${department.minStaffing} staff on ${day.date}`,
+      details: {
+        date: day.date,
+        department: department._id,
+        headcount: day.headcount,
+        available: Math.max(0, day.afterApproval),
+        minStaffing: department.minStaffing
+      }
+    }));
+};
+
+// Calendar for a set of employees: each person's leaves (approved and/or
+// pending), attendance and holidays per day, plus staffing for their departments
+const buildLeaveCalendar = async (employees, start, end, timezone, { statuses = ['approved', 'pending'] } = {}) => {
+  const employeeIds = employees.map(e => e._id);
+  const days = getDays(start, end, timezone);
+
+  const [leaves, attendance, orgDayStatuses] = await Promise.all([
+    Leave.find({
+      employee: { $in: employeeIds },
+      status: { $in: statuses },
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    })
+      .select('employee leaveType status duration startTime endTime totalDays startDate endDate delegate')
+      .lean(),
+    Attendance.find({
+      employee: { $in: employeeIds },
+      date: { $gte: days[0], $lte: end }
+    }).select('employee date status').lean(),
+    getDayStatuses(days, timezone)
+  ]);
+
+  const attendanceMap = new Map(attendance.map(record => [
+    `${record.employee}|${toDateKey(record.date, timezone)}`,
+    record.status
+  ]));
+
+  // Department holidays differ per department
+  const departmentIds = [...new Set(employees.map(e => (e.department?._id || e.department)?.toString()).filter(Boolean))];
+  const departmentDayStatuses = new Map();
+  for (const departmentId of departmentIds) {
+    departmentDayStatuses.set(departmentId, await getDayStatuses(days, timezone, departmentId));
+  }
+
+  const rows = employees.map(employee => {
+    const departmentId = (employee.department?._id || employee.department)?.toString();
+    const dayStatuses = departmentDayStatuses.get(departmentId) || orgDayStatuses;
+    const employeeLeaves = leaves.filter(leave => leave.employee.toString() === employee._id.toString());
+
+    const calendar = {};
+    days.forEach((day, index) => {
+      const date = toDateKey(day, timezone);
+      const entry = {};
+      if (dayStatuses[index].dayStatus) {
+        entry.dayStatus = dayStatuses[index].dayStatus;
+        if (dayStatuses[index].holiday) entry.holiday = dayStatuses[index].holiday;
+      }
+      const dayLeaves = employeeLeaves
+        .filter(leave => leaveCoversDay(leave, day, timezone))
+        .map(leave => ({
+          _id: leave._id,
+          leaveType: leave.leaveType,
+          status: leave.status,
+          duration: leave.duration || 'full-day',
+          ...(isPartialLeave(leave) && { startTime: leave.startTime, endTime: leave.endTime })
+        }));
+      if (dayLeaves.length > 0) entry.leaves = dayLeaves;
+      const attendanceStatus = attendanceMap.get(`${employee._id}|${date}`);
+      if (attendanceStatus) entry.attendance = attendanceStatus;
+      if (Object.keys(entry).length > 0) calendar[date] = entry;
+    });
+
+    return { employee, days: calendar };
+  });
+
+  const departments = await Department.find({ _id: { $in: departmentIds } }).select('name minStaffing').lean();
+  const staffing = [];
+  for (const department of departments) {
+    staffing.push({
+      department: { _id: department._id, name: department.name, minStaffing: department.minStaffing || 0 },
+      days: await getDepartmentStaffing(department, days[0], end, timezone)
+    });
+  }
+
+  const conflicts = staffing.flatMap(({ department, days: staffingDays }) => staffingDays
+    .filter(day => day.belowMinimum || day.atRisk)
+    .map(day => ({
+      date: day.date,
+      department,
+      available: day.available,
+      pending: day.pending,
+      minStaffing: day.minStaffing,
+      belowMinimum: day.belowMinimum,
+      pendingLeaves: day.pendingLeaves
+    })));
+
+  return { employees: rows, staffing, conflicts };
+};
+
+module.exports = {
+  getDepartmentStaffing,
+  checkLeaveStaffing,
+  buildLeaveCalendar
+};
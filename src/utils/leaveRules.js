@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const LeavePolicy = require('../models/LeavePolicy');
+const Settings = require('../models/Settings');
+const { getCompOffConfig } = require('./compOff');
+const { getLeaveBalances } = require('./leaveAccrual');
+const { isPartialLeave } = require('./partialLeave');
+const { getZonedParts, toDateKey, startOfDay } = require('./timezone');
+
+// ─── Leave Request Rules ──────────────────────────────────────────────
+// Checked when a leave is submitted. Errors block the request, warnings are
+// returned with the created leave. Each result names the rule that produced it
+// so clients can show exactly what failed.
+
+// Leave types only some employees can take
+const GENDER_ELIGIBILITY = {
+  maternity: 'female',
+  paternity: 'male'
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const monthsBetween = (from, to, timezone) => {
+  const a = getZonedParts(from, timezone);
+  const b = getZonedParts(to, timezone);
+  return (b.year - a.year) * 12 + (b.month - a.month) - (b.day < a.day ? 1 : 0);
+};
+
+// Half-day / hourly leaves on the same day only clash when their hours do
+const windowsOverlap = (shift, a, b) => {
+  // A window ending at the shift end has offset 0
+  const endOffset = (window) => shift.getShiftOffset(window.endTime) || shift.getDurationMinutes();
+  return shift.getShiftOffset(a.startTime) < endOffset(b) && shift.getShiftOffset(b.startTime) < endOffset(a);
+};
+
+// employee: { _id, gender, dateOfJoining }, dates already parsed in the employee's timezone.
+// For half-day / hourly requests pass the employee's `shift` and the `window`
+// ({ startTime, endTime }) being taken off. `delegate` is the covering employee's ID.
+const validateLeaveRequest = async ({ employee, leaveType, startDate, endDate, totalDays, timezone, shift, window, delegate }) => {
+  const errors = [];
+  const warnings = [];
+
+  // ── Overlap with pending or approved leave ──
+  const overlapping = await Leave.find({
+    employee: employee._id,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  }).select('leaveType duration startTime endTime startDate endDate status').lean();
+
+  overlapping
+    .filter(leave => !(window && isPartialLeave(leave) && leave.startTime && !windowsOverlap(shift, window, leave)))
+    .forEach(leave => {
+      const period = isPartialLeave(leave)
+        ? `on ${toDateKey(leave.startDate, timezone)} (${leave.startTime} - ${leave.endTime})`
+        : `from ${toDateKey(leave.startDate, timezone)} to ${toDateKey(leave.endDate, timezone)}`;
+      errors.push({
+        rule: 'overlap',
+        message: `Overlaps your ${leave.status} ${leave.leaveType} leave ${period}`,
+        details: { leaveId: leave._id, status: leave.status }
+      });
+    });
+
+  // ── Eligibility ──
+  const requiredGender = GENDER_ELIGIBILITY[leaveType];
+  if (requiredGender && employee.gender !== requiredGender) {
+    errors.push({
+      rule: 'eligibility',
+      message: employee.gender
+        ? `${capitalize(leaveType)} leave is only available to ${requiredGender} employees`
+        : `${capitalize(leaveType)} leave requires your gender to be on file. Please ask HR to update your profile.`,
+      details: { requiredGender, employeeGender: employee.gender || null }
+    });
+  }
+
+  const policy = await LeavePolicy.findOne({ leaveType }).lean();
+
+  if (policy && !policy.isActive) {
+    errors.push({
+      rule: 'policy',
+      message: `${capitalize(leaveType)} leave is not currently offered`
+    });
+  }
+
+  if (policy?.isActive && policy.minServiceMonths > 0 && employee.dateOfJoining) {
+    const serviceMonths = monthsBetween(employee.dateOfJoining, startDate, timezone);
+    if (serviceMonths < policy.minServiceMonths) {
+      errors.push({
+        rule: 'eligibility',
+        message: `${capitalize(leaveType)} leave requires ${policy.minServiceMonths} months of service; you will have ${Math.max(0, serviceMonths)} by ${toDateKey(startDate, timezone)}`,
+        details: { minServiceMonths: policy.minServiceMonths, serviceMonths: Math.max(0, serviceMonths) }
+      });
+    }
+  }
+
+  // ── Policy limit / remaining balance ──
+  // Comp-off has no yearly limit; it can only be taken from credit already earned
+  if (leaveType === 'comp-off') {
+    const config = getCompOffConfig(await Settings.getSettings());
+    const { balances } = await getLeaveBalances(employee);
+    const balance = balances['comp-off'];
+    if (!config.enabled && balance.available <= 0) {
+      errors.push({
+        rule: 'policy',
+        message: 'Comp-off leave is not currently offered'
+      });
+    } else if (totalDays > balance.available) {
+      errors.push({
+        rule: 'balance',
+        message: `Requested ${totalDays} days of comp-off but only ${Math.max(0, balance.available)} available (earned ${balance.accrued}, expired ${balance.expired}, used ${balance.used}, pending ${balance.pending})`,
+        details: {
+          requested: totalDays,
+          available: balance.available,
+          entitlement: balance.entitlement,
+          used: balance.used,
+          pending: balance.pending
+        }
+      });
+    }
+  } else if (policy?.isActive && policy.yearlyLimit > 0) {
+    const currentYear = getZonedParts(new Date(), timezone).year;
+    const leaveYear = getZonedParts(startDate, timezone).year;
+
+    if (totalDays > policy.yearlyLimit) {
+      errors.push({
+        rule: 'limit',
+        message: `Requested ${totalDays} days of ${leaveType} leave but the yearly limit is ${policy.yearlyLimit}`,
+        details: { requested: totalDays, yearlyLimit: policy.yearlyLimit }
+      });
+    } else if (leaveYear > currentYear) {
+      warnings.push({
+        rule: 'balance',
+        message: `Your ${leaveYear} ${leaveType} entitlement has not accrued yet, so the balance could not be checked`
+      });
+    } else {
+      const { balances } = await getLeaveBalances(employee, { year: leaveYear });
+      const balance = balances[leaveType];
+      if (balance && totalDays > balance.available) {
+        errors.push({
+          rule: 'balance',
+          message: `Requested ${totalDays} days of ${leaveType} leave but only ${Math.max(0, balance.available)} available (entitlement ${balance.entitlement}, used ${balance.used}, pending ${balance.pending})`,
+          details: {
+            requested: totalDays,
+            available: balance.available,
+            entitlement: balance.entitlement,
+            used: balance.used,
+            pending: balance.pending
+          }
+        });
+      }
+    }
+  }
+
+  // ── Delegate ──
+  if (delegate) {
+    const delegateEmployee = mongoose.isValidObjectId(delegate)
+      ? await Employee.findById(delegate).select('firstName lastName status').lean()
+      : null;
+    if (!delegateEmployee || delegateEmployee.status !== 'active') {
+      errors.push({
+        rule: 'delegate',
+        message: 'The chosen delegate is not an active employee'
+      });
+    } else if (delegateEmployee._id.toString() === employee._id.toString()) {
+      errors.push({
+        rule: 'delegate',
+        message: 'You cannot delegate to yourself'
+      });
+    } else {
+      const delegateAway = await Leave.exists({
+        employee: delegateEmployee._id,
+        status: { $in: ['pending', 'approved'] },
+        startDate: { $lte: endDate },
+        endDate: { $gte: startDate }
+      });
+      if (delegateAway) {
+        warnings.push({
+          rule: 'delegate',
+          message: `${delegateEmployee.firstName} ${delegateEmployee.lastName} also has leave during these dates`
+        });
+      }
+    }
+  }
+
+  // ── Backdated requests ──
+  if (startDate < startOfDay(new Date(), timezone)) {
+    warnings.push({
+      rule: 'backdated',
+      message: 'This leave starts in the past'
+    });
+  }
+
+  return { errors, warnings };
+};
+
+module.exports = {
+  validateLeaveRequest
+};
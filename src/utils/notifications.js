@@ -0,0 +1,79 @@
+const Employee = require('../models/Employee');
+const Notification = require('../models/Notification');
+const { NOTIFICATION_CATEGORIES } = Notification;
+const User = require('../models/User');
+
+// ─── Notifications ────────────────────────────────────────────────────
+// Every real-time event is also stored as a Notification for each recipient,
+// so users who were offline still see it. Recipients are User IDs; users who
+// muted the category get nothing stored or pushed. Stored notifications are
+// pushed as `newNotification` to the recipient's room, next to the original event.
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Active users of these employees
+const getUserIdsForEmployees = async (employeeIds) => {
+  if (employeeIds.length === 0) return [];
+  const users = await User.find({ employee: { $in: employeeIds }, isActive: true }).select('_id').lean();
+  return users.map(user => user._id.toString());
+};
+
+// Active users with any of these roles
+const getUserIdsByRole = async (roles) => {
+  const users = await User.find({ role: { $in: roles }, isActive: true }).select('_id').lean();
+  return users.map(user => user._id.toString());
+};
+
+// Users a notice is published to (same audiences as GET /api/notices)
+const getNoticeRecipients = async (notice) => {
+  switch (notice.targetAudience) {
+    case 'employees':
+      return getUserIdsByRole(['employee']);
+    case 'managers':
+      return getUserIdsByRole(['manager', 'boss', 'admin']);
+    case 'hr':
+      return getUserIdsByRole(['hr', 'boss', 'admin']);
+    case 'specific-department': {
+      const employees = await Employee.find({ department: { $in: notice.departments || [] } }).select('_id').lean();
+      return getUserIdsForEmployees(employees.map(emp => emp._id));
+    }
+    default: {
+      const users = await User.find({ isActive: true }).select('_id').lean();
+      return users.map(user => user._id.toString());
+    }
+  }
+};
+
+// Store a notification for each recipient and push it to those online.
+// `io` may be missing (e.g. in scripts); the notifications are still stored.
+// Returns the stored notifications.
+const notify = async (io, recipients, { category, type, title, message, data, exclude }) => {
+  const excluded = [].concat(exclude || []).map(toId);
+  const recipientIds = [...new Set(recipients.map(toId))].filter(id => id && !excluded.includes(id));
+  if (recipientIds.length === 0) return [];
+
+  const muting = await User.find({
+    _id: { $in: recipientIds },
+    'notificationPreferences.muted': category
+  }).select('_id').lean();
+  const mutedIds = new Set(muting.map(user => user._id.toString()));
+
+  const notifications = await Notification.insertMany(recipientIds
+    .filter(id => !mutedIds.has(id))
+    .map(recipient => ({ recipient, category, type, title, message, data })));
+
+  if (io) {
+    notifications.forEach(notification => {
+      io.to(notification.recipient.toString()).emit('newNotification', notification);
+    });
+  }
+  return notifications;
+};
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  getUserIdsForEmployees,
+  getUserIdsByRole,
+  getNoticeRecipients,
+  notify
+};
@@ -0,0 +1,67 @@
+const Leave = require('../models/Leave');
+const { endOfDay } = require('./timezone');
+
+// ─── Half-day / Hourly Leave ──────────────────────────────────────────
+// A partial leave covers part of one shift date. Leave dates are stored as the
+// shift date, so a night shift's second half (after midnight) still belongs to
+// the leave's day. When the leave covers the start or end of the shift, the
+// employee is expected later / may leave earlier that day.
+
+const PARTIAL_DURATIONS = ['first-half', 'second-half', 'hours'];
+
+const isPartialLeave = (leave) => PARTIAL_DURATIONS.includes(leave?.duration);
+
+// Approved partial leaves for one employee on a shift date
+const findPartialLeaves = (employeeId, shiftDate, timezone) => Leave.find({
+  employee: employeeId,
+  status: 'approved',
+  duration: { $in: PARTIAL_DURATIONS },
+  startDate: { $lte: endOfDay(shiftDate, timezone) },
+  endDate: { $gte: shiftDate }
+}).select('leaveType duration hours startTime endTime totalDays startDate').lean();
+
+// Expected check-in / check-out times once partial leaves are taken off the shift.
+// Returns { startTime, endTime }, each undefined when unchanged.
+const getExpectedShiftTimes = (shift, leaves = []) => {
+  let startTime = shift.startTime;
+  let endTime = shift.endTime;
+
+  // Leaves can be back to back (e.g. first half + an hour), so keep extending
+  let extended = true;
+  while (extended) {
+    extended = false;
+    for (const leave of leaves) {
+      if (leave.startTime === startTime && leave.endTime !== endTime) {
+        startTime = leave.endTime;
+        extended = true;
+      }
+      if (leave.endTime === endTime && leave.startTime !== startTime) {
+        endTime = leave.startTime;
+        extended = true;
+      }
+    }
+  }
+
+  return {
+    startTime: startTime !== shift.startTime ? startTime : undefined,
+    endTime: endTime !== shift.endTime ? endTime : undefined
+  };
+};
+
+// A half-day leave turns an on-time punch into 'half-day'; late arrivals,
+// early clock-outs and overtime keep their own status
+const applyPartialLeaveStatus = (status, leaves = []) => {
+  const halfDay = leaves.some(leave => ['first-half', 'second-half'].includes(leave.duration));
+  if (halfDay && ['early', 'present', 'clocked-out'].includes(status)) {
+    return 'half-day';
+  }
+  return status;
+};
+
+module.exports = {
+  PARTIAL_DURATIONS,
+  isPartialLeave,
+  findPartialLeaves,
+  getExpectedShiftTimes,
+  applyPartialLeaveStatus
+};
@@ -0,0 +1,250 @@
+const Attendance = require('../models/Attendance');
+const CompOffCredit = require('../models/CompOffCredit');
+const Employee = require('../models/Employee');
+const Leave = require('../models/Leave');
+const Payslip = require('../models/Payslip');
+const Shift = require('../models/Shift');
+const { countWorkingDays } = require('./holidays');
+const { isPartialLeave, getExpectedShiftTimes } = require('./partialLeave');
+const {
+  fromZonedParts,
+  startOfDay,
+  endOfMonth,
+  addDays,
+  toDateKey,
+  isValidTimezone
+} = require('./timezone');
+
+// ─── Payroll Calculation ──────────────────────────────────────────────
+// Monthly pay = basic + allowances, spread over the month's working days
+// (weekends and holidays excluded) to get a daily rate. From that:
+//   • days before joining, absent days and unpaid leave days are deducted
+//     (half-day and hourly leave count fractionally; absent days covered by
+//     approved leave, even leave approved afterwards, are not counted as absent)
+//   • overtime hours are paid at the hourly rate × overtimeRate, except on
+//     shifts whose comp-off credit was approved (that time is banked as leave)
+//   • each late arrival beyond lateGraceCount costs latePenaltyDays of pay
+//   • Employee.salary.deductions is deducted as a fixed amount
+
+const PAYROLL_DEFAULTS = {
+  currency: 'PKR',
+  overtimeRate: 1.5,
+  hoursPerDay: 8,
+  lateGraceCount: 3,
+  latePenaltyDays: 0.5
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const getPayrollConfig = (settings) => {
+  const payroll = settings?.payroll || {};
+  return Object.fromEntries(Object.entries(PAYROLL_DEFAULTS).map(([key, fallback]) => [
+    key,
+    payroll[key] ?? fallback
+  ]));
+};
+
+const getMonthPeriod = (year, month, timezone) => {
+  const start = fromZonedParts({ year, month, day: 1 }, timezone);
+  return { start, end: endOfMonth(start, timezone) };
+};
+
+// Working days of approved leave inside the period, by leave type.
+// Half-day and hourly leave count for their fraction of a day.
+const countLeaveDaysByType = async (employee, start, end, timezone) => {
+  const leaves = await Leave.find({
+    employee: employee._id,
+    status: 'approved',
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  }).select('leaveType duration startDate endDate totalDays').lean();
+
+  const days = {};
+  for (const leave of leaves) {
+    const from = new Date(Math.max(start.getTime(), startOfDay(leave.startDate, timezone).getTime()));
+    const to = new Date(Math.min(end.getTime(), leave.endDate.getTime()));
+    if (from > to) continue;
+    const leaveDays = isPartialLeave(leave)
+      ? leave.totalDays
+      : (await countWorkingDays(from, to, { department: employee.department, timezone })).workingDays;
+    days[leave.leaveType] = round((days[leave.leaveType] || 0) + leaveDays);
+  }
+  return days;
+};
+
+// Payslip values for one employee and month.
+// `shifts` maps shift id → Shift, `employeeShift` is the employee's current shift
+// (used for attendance rows recorded without one).
+const computePayslip = async (employee, { year, month, config, orgTimezone, shifts, employeeShift }) => {
+  const timezone = isValidTimezone(employee.timezone) ? employee.timezone : orgTimezone;
+  const { start, end } = getMonthPeriod(year, month, timezone);
+  const options = { department: employee.department, timezone };
+
+  const basic = employee.salary?.basic || 0;
+  const allowances = employee.salary?.allowances || 0;
+  const fixedDeductions = employee.salary?.deductions || 0;
+
+  const { workingDays } = await countWorkingDays(start, end, options);
+  const dailyRate = workingDays > 0 ? (basic + allowances) / workingDays : 0;
+  const hourlyRate = dailyRate / config.hoursPerDay;
+
+  // ── Days before the joining date ──
+  const joinDay = employee.dateOfJoining ? startOfDay(employee.dateOfJoining, timezone) : null;
+  let notEmployedDays = 0;
+  if (joinDay && joinDay > end) {
+    notEmployedDays = workingDays;
+  } else if (joinDay && joinDay > start) {
+    notEmployedDays = (await countWorkingDays(start, addDays(joinDay, -1, timezone), options)).workingDays;
+  }
+
+  // ── Attendance ──
+  const [attendance, approvedLeaves, compOffCredits] = await Promise.all([
+    Attendance.find({
+      employee: employee._id,
+      date: { $gte: start, $lte: end }
+    }).select('date status overtime checkIn shift').lean(),
+    Leave.find({
+      employee: employee._id,
+      status: 'approved',
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    }).select('duration startDate endDate startTime endTime totalDays').lean(),
+    CompOffCredit.find({
+      employee: employee._id,
+      status: 'approved',
+      date: { $gte: start, $lte: end }
+    }).select('attendance').lean()
+  ]);
+  const partialLeaves = approvedLeaves.filter(isPartialLeave);
+  const fullDayLeaves = approvedLeaves.filter(leave => !isPartialLeave(leave));
+  const leavesOn = (date) => partialLeaves.filter(leave => toDateKey(leave.startDate, timezone) === toDateKey(date, timezone));
+  const onFullDayLeave = (date) => {
+    const day = toDateKey(date, timezone);
+    return fullDayLeaves.some(leave => toDateKey(leave.startDate, timezone) <= day && day <= toDateKey(leave.endDate, timezone));
+  };
+
+  const employedRecords = attendance.filter(record => !joinDay || record.date >= joinDay);
+  // Absent rows are left in place when leave for the day is approved later, so
+  // days on full-day leave are skipped (unpaid leave is deducted below) and a
+  // half-day / hourly leave only loses the part not on leave
+  const absentDays = round(employedRecords
+    .filter(record => record.status === 'absent' && !onFullDayLeave(record.date))
+    .reduce((total, record) => {
+      const leaveDays = leavesOn(record.date).reduce((sum, leave) => sum + leave.totalDays, 0);
+      return total + Math.max(0, 1 - leaveDays);
+    }, 0));
+  const bankedRecords = new Set(compOffCredits.map(credit => credit.attendance.toString()));
+  const overtimeHours = round(employedRecords
+    .filter(record => !bankedRecords.has(record._id.toString()))
+    .reduce((total, record) => total + (record.overtime || 0), 0));
+
+  // Status is overwritten at checkout, so lateness is re-derived from the check-in time
+  // (against the later start when the first part of the shift was on leave)
+  const lateCount = employedRecords.filter(record => {
+    if (!record.checkIn?.time) return false;
+    const shift = (record.shift && shifts.get(record.shift.toString())) || employeeShift;
+    const expected = getExpectedShiftTimes(shift, leavesOn(record.date));
+    return shift.getCheckInStatus(record.checkIn.time, timezone, expected) === 'late';
+  }).length;
+
+  const unpaidLeaveDays = (await countLeaveDaysByType(employee, start, end, timezone)).unpaid || 0;
+
+  // ── Amounts ──
+  const earnings = {
+    basic: round(basic),
+    allowances: round(allowances),
+    overtime: round(overtimeHours * hourlyRate * config.overtimeRate)
+  };
+  const deductions = {
+    notEmployed: round(notEmployedDays * dailyRate),
+    absence: round(absentDays * dailyRate),
+    unpaidLeave: round(unpaidLeaveDays * dailyRate),
+    latePenalty: round(Math.max(0, lateCount - config.lateGraceCount) * config.latePenaltyDays * dailyRate),
+    fixed: round(fixedDeductions)
+  };
+
+  const grossPay = round(earnings.basic + earnings.allowances + earnings.overtime);
+  const totalDeductions = round(Object.values(deductions).reduce((total, amount) => total + amount, 0));
+
+  return {
+    employee: employee._id,
+    year,
+    month,
+    salary: { basic, allowances, deductions: fixedDeductions },
+    workingDays,
+    payableDays: round(Math.max(0, workingDays - notEmployedDays - absentDays - unpaidLeaveDays)),
+    dailyRate: round(dailyRate),
+    notEmployedDays,
+    absentDays,
+    unpaidLeaveDays,
+    overtimeHours,
+    lateCount,
+    earnings,
+    deductions,
+    grossPay,
+    totalDeductions,
+    netPay: round(Math.max(0, grossPay - totalDeductions)),
+    currency: config.currency
+  };
+};
+
+// (Re)compute every payslip of a draft run and update its totals.
+// Covers active and on-leave employees who had joined by the end of the month.
+const calculatePayrollRun = async (run, { config, orgTimezone }) => {
+  const employees = await Employee.find({
+    status: { $in: ['active', 'on-leave'] },
+    $or: [
+      { dateOfJoining: { $lte: run.periodEnd } },
+      { dateOfJoining: null }
+    ]
+  })
+    .select('_id department shift timezone dateOfJoining salary')
+    .lean();
+
+  const [shiftMap, allShifts] = await Promise.all([
+    Shift.getForEmployees(employees),
+    Shift.find()
+  ]);
+  const shifts = new Map(allShifts.map(shift => [shift._id.toString(), shift]));
+
+  const payslips = [];
+  for (const employee of employees) {
+    payslips.push(await computePayslip(employee, {
+      year: run.year,
+      month: run.month,
+      config,
+      orgTimezone,
+      shifts,
+      employeeShift: shiftMap.get(employee._id.toString())
+    }));
+  }
+
+  await Payslip.deleteMany({ payrollRun: run._id });
+  if (payslips.length > 0) {
+    await Payslip.insertMany(payslips.map(payslip => ({
+      ...payslip,
+      payrollRun: run._id,
+      status: run.status
+    })));
+  }
+
+  run.config = config;
+  run.totals = {
+    employees: payslips.length,
+    grossPay: round(payslips.reduce((total, p) => total + p.grossPay, 0)),
+    totalDeductions: round(payslips.reduce((total, p) => total + p.totalDeductions, 0)),
+    netPay: round(payslips.reduce((total, p) => total + p.netPay, 0))
+  };
+  run.calculatedAt = new Date();
+  await run.save();
+
+  return run;
+};
+
+module.exports = {
+  getPayrollConfig,
+  getMonthPeriod,
+  countLeaveDaysByType,
+  computePayslip,
+  calculatePayrollRun
+};
@@ -0,0 +1,188 @@
+const PDFDocument = require('pdfkit');
+
+// ─── Payslip PDF ──────────────────────────────────────────────────────
+// Rendered in-process with pdfkit and its built-in fonts, so it needs no
+// network access or external rendering service.
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#1e3a8a';
+const MUTED_COLOR = '#6b7280';
+
+const LEAVE_TYPE_LABELS = {
+  annual: 'Annual',
+  sick: 'Sick',
+  casual: 'Casual',
+  maternity: 'Maternity',
+  paternity: 'Paternity',
+  unpaid: 'Unpaid',
+  'comp-off': 'Comp-off',
+  other: 'Other'
+};
+
+const formatMoney = (amount, currency) => {
+  const value = Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  return `${currency} ${value}`;
+};
+
+const formatPeriod = (year, month) => new Date(Date.UTC(year, month - 1, 1))
+  .toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Only the last four characters of an account number are shown
+const maskAccountNumber = (accountNumber) => {
+  if (!accountNumber) return '-';
+  const value = String(accountNumber).replace(/\s+/g, '');
+  if (value.length <= 4) return '*'.repeat(value.length);
+  return `${'*'.repeat(Math.min(value.length - 4, 8))}${value.slice(-4)}`;
+};
+
+const sectionTitle = (doc, title) => {
+  doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text(title.toUpperCase(), PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).lineWidth(0.5).strokeColor(BRAND_COLOR).stroke();
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+};
+
+// Label/value rows in a column starting at x with the given width
+const rows = (doc, items, x, y, width) => {
+  let rowY = y;
+  items.forEach(([label, value, bold]) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('black');
+    doc.text(label, x, rowY, { width: width * 0.6 });
+    doc.text(value, x + width * 0.6, rowY, { width: width * 0.4, align: 'right' });
+    rowY += 16;
+  });
+  return rowY;
+};
+
+// Render a payslip to a PDF buffer.
+// `attendance` is { daysWorked }, `leaveDays` maps leave type → working days taken in the month.
+const renderPayslipPdf = ({ payslip, employee, companyName, attendance = {}, leaveDays = {} }) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `Payslip ${formatPeriod(payslip.year, payslip.month)}`,
+        Author: companyName
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+    const columnWidth = (contentWidth - 30) / 2;
+    const currency = payslip.currency;
+
+    // ── Header ──
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('white').text(companyName, PAGE_MARGIN, 30);
+    doc.font('Helvetica').fontSize(11).text(`Payslip for ${formatPeriod(payslip.year, payslip.month)}`, PAGE_MARGIN, 56);
+    doc.fillColor('black');
+    doc.y = 110;
+
+    // ── Employee ──
+    sectionTitle(doc, 'Employee');
+    const detailsY = doc.y;
+    rows(doc, [
+      ['Name', `${employee.firstName} ${employee.lastName}`],
+      ['Employee ID', employee.employeeId || '-'],
+      ['Designation', employee.designation || '-'],
+      ['Department', employee.department?.name || '-']
+    ], PAGE_MARGIN, detailsY, columnWidth);
+    const detailsEndY = rows(doc, [
+      ['Bank', employee.bankDetails?.bankName || '-'],
+      ['Account title', employee.bankDetails?.accountTitle || '-'],
+      ['Account number', maskAccountNumber(employee.bankDetails?.accountNumber)]
+    ], PAGE_MARGIN + columnWidth + 30, detailsY, columnWidth);
+    doc.y = Math.max(doc.y, detailsEndY);
+
+    // ── Earnings / Deductions ──
+    sectionTitle(doc, 'Earnings and deductions');
+    const amountsY = doc.y;
+    const earnings = [
+      ['Basic salary', formatMoney(payslip.earnings.basic, currency)],
+      ['Allowances', formatMoney(payslip.earnings.allowances, currency)],
+      [`Overtime (${payslip.overtimeHours} h)`, formatMoney(payslip.earnings.overtime, currency)]
+    ];
+    const deductions = [
+      ['Before joining', payslip.deductions.notEmployed, payslip.notEmployedDays],
+      ['Absences', payslip.deductions.absence, payslip.absentDays],
+      ['Unpaid leave', payslip.deductions.unpaidLeave, payslip.unpaidLeaveDays]
+    ]
+      .filter(([, amount]) => amount > 0)
+      .map(([label, amount, days]) => [`${label} (${days} days)`, formatMoney(amount, currency)]);
+    if (payslip.deductions.latePenalty > 0) {
+      deductions.push([`Late arrivals (${payslip.lateCount})`, formatMoney(payslip.deductions.latePenalty, currency)]);
+    }
+    deductions.push(['Other deductions', formatMoney(payslip.deductions.fixed, currency)]);
+
+    const earningsEndY = rows(doc, [
+      ...earnings,
+      ['Gross pay', formatMoney(payslip.grossPay, currency), true]
+    ], PAGE_MARGIN, amountsY, columnWidth);
+    const deductionsEndY = rows(doc, [
+      ...deductions,
+      ['Total deductions', formatMoney(payslip.totalDeductions, currency), true]
+    ], PAGE_MARGIN + columnWidth + 30, amountsY, columnWidth);
+    doc.y = Math.max(earningsEndY, deductionsEndY);
+
+    // ── Net pay ──
+    doc.moveDown(0.8);
+    const netY = doc.y;
+    doc.rect(PAGE_MARGIN, netY, contentWidth, 32).fill('#eef2ff');
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND_COLOR);
+    doc.text('Net pay', PAGE_MARGIN + 12, netY + 10);
+    doc.text(formatMoney(payslip.netPay, currency), PAGE_MARGIN, netY + 10, { width: contentWidth - 12, align: 'right' });
+    doc.fillColor('black');
+    doc.y = netY + 32;
+
+    // ── Attendance ──
+    sectionTitle(doc, 'Attendance summary');
+    const attendanceY = doc.y;
+    rows(doc, [
+      ['Working days', String(payslip.workingDays)],
+      ['Days worked', String(attendance.daysWorked ?? '-')],
+      ['Payable days', String(payslip.payableDays)]
+    ], PAGE_MARGIN, attendanceY, columnWidth);
+    const attendanceEndY = rows(doc, [
+      ['Absent days', String(payslip.absentDays)],
+      ['Late arrivals', String(payslip.lateCount)],
+      ['Overtime hours', String(payslip.overtimeHours)]
+    ], PAGE_MARGIN + columnWidth + 30, attendanceY, columnWidth);
+    doc.y = attendanceEndY;
+
+    // ── Leave ──
+    sectionTitle(doc, 'Leave taken');
+    const leaveRows = Object.entries(leaveDays)
+      .filter(([, days]) => days > 0)
+      .map(([type, days]) => [LEAVE_TYPE_LABELS[type] || type, `${days} day${days === 1 ? '' : 's'}`]);
+    if (leaveRows.length > 0) {
+      doc.y = rows(doc, leaveRows, PAGE_MARGIN, doc.y, columnWidth);
+    } else {
+      doc.text('No leave taken this month', PAGE_MARGIN);
+    }
+
+    // ── Footer ──
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+      `This is a computer-generated payslip and does not require a signature. Generated ${new Date().toISOString().slice(0, 10)}.`,
+      PAGE_MARGIN,
+      doc.page.height - PAGE_MARGIN - 20,
+      { width: contentWidth, align: 'center', lineBreak: false }
+    );
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  maskAccountNumber,
+  renderPayslipPdf
+};
@@ -0,0 +1,140 @@
+const net = require('net');
+
+// ─── Punch Location Checks ────────────────────────────────────────────
+// A punch is inside the allowed area when its coordinates fall within any
+// office geofence, or it comes from any allowed IP / CIDR range.
+// Settings.punchRestriction decides what happens otherwise:
+//   off   → nothing is checked
+//   flag  → the punch is recorded and flagged for HR review
+//   block → the punch is rejected
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Great-circle distance in meters
+const getDistanceMeters = (from, to) => {
+  const toRadians = (deg) => deg * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// '::ffff:10.0.0.5' → '10.0.0.5'
+const normalizeIp = (ip) => {
+  if (!ip) return ip;
+  const match = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  return match ? match[1] : ip;
+};
+
+// Parse '10.0.0.5' or '10.0.0.0/24' (IPv4 or IPv6); null when invalid
+const parseIpRange = (range) => {
+  if (typeof range !== 'string') return null;
+  const [address, prefixText, extra] = range.trim().split('/');
+  const type = net.isIP(address);
+  if (!type || extra !== undefined) return null;
+  const family = type === 4 ? 'ipv4' : 'ipv6';
+  if (prefixText === undefined) return { address, family };
+
+  const prefix = Number(prefixText);
+  const maxPrefix = type === 4 ? 32 : 128;
+  if (!/^\d+$/.test(prefixText) || prefix > maxPrefix) return null;
+  return { address, prefix, family };
+};
+
+const isValidIpRange = (range) => parseIpRange(range) !== null;
+
+const isIpAllowed = (ip, ranges = []) => {
+  const address = normalizeIp(ip);
+  const type = net.isIP(address || '');
+  if (!type || ranges.length === 0) return false;
+
+  const blockList = new net.BlockList();
+  ranges.map(parseIpRange).filter(Boolean).forEach(range => {
+    if (range.prefix === undefined) {
+      blockList.addAddress(range.address, range.family);
+    } else {
+      blockList.addSubnet(range.address, range.prefix, range.family);
+    }
+  });
+  return blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Coordinates from the request body; null when missing or out of range
+const parseCoordinates = ({ latitude, longitude } = {}) => {
+  if (latitude === undefined || latitude === null || latitude === ''
+    || longitude === undefined || longitude === null || longitude === '') {
+    return null;
+  }
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { latitude: lat, longitude: lng };
+};
+
+// Nearest office whose geofence contains the coordinates, if any
+const findOffice = (coordinates, officeLocations = []) => {
+  if (!coordinates) return null;
+  let match = null;
+  officeLocations
+    .filter(office => office.isActive !== false)
+    .forEach(office => {
+      const distance = getDistanceMeters(coordinates, office);
+      if (distance <= office.radiusMeters && (!match || distance < match.distance)) {
+        match = { office, distance };
+      }
+    });
+  return match;
+};
+
+// Decide whether a punch is allowed.
+// Returns { allowed, flagged, reason, office, distance }
+const checkPunchLocation = ({ coordinates, ip }, settings, employee) => {
+  const mode = settings?.punchRestriction || 'off';
+  const officeLocations = (settings?.officeLocations || []).filter(o => o.isActive !== false);
+  const allowedIpRanges = settings?.allowedIpRanges || [];
+
+  const result = { allowed: true, flagged: false };
+  if (mode === 'off' || (officeLocations.length === 0 && allowedIpRanges.length === 0)) {
+    return result;
+  }
+  if (employee?.remoteWorkAllowed) {
+    return { ...result, remote: true };
+  }
+
+  const match = findOffice(coordinates, officeLocations);
+  if (match) {
+    return { ...result, office: match.office.name, distance: Math.round(match.distance) };
+  }
+  if (isIpAllowed(ip, allowedIpRanges)) {
+    return result;
+  }
+
+  let reason;
+  if (!coordinates) {
+    reason = 'No location shared and IP address is not on an allowed network';
+  } else {
+    const nearest = officeLocations.length > 0
+      ? Math.round(Math.min(...officeLocations.map(office => getDistanceMeters(coordinates, office))))
+      : null;
+    reason = nearest !== null
+      ? `Outside office geofence (${nearest} m from nearest office) and not on an allowed network`
+      : 'IP address is not on an allowed network';
+  }
+
+  return mode === 'block'
+    ? { allowed: false, flagged: false, reason }
+    : { allowed: true, flagged: true, reason };
+};
+
+module.exports = {
+  getDistanceMeters,
+  normalizeIp,
+  isValidIpRange,
+  isIpAllowed,
+  parseCoordinates,
+  findOffice,
+  checkPunchLocation
+};
@@ -0,0 +1,193 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Task = require('../models/Task');
+const Ticket = require('../models/Ticket');
+const Notice = require('../models/Notice');
+const Meeting = require('../models/Meeting');
+
+// ─── Global Search ────────────────────────────────────────────────────
+// Full-text search over chat messages, tasks, tickets, notices and meetings
+// using each collection's text index. Every source only searches documents the
+// user may open through its own routes:
+//   messages  chats the user participates in
+//   tasks     assigned by or to the user (HR or above: all)
+//   tickets   the user's own (HR or above: all)
+//   notices   published to the user's audience (boss / admin: all); below
+//             HR only active, unexpired ones
+//   meetings  organised or attended by the user (HR / boss / admin: all)
+// Results of all sources are merged by text score (newest first on ties).
+
+const HR_ROLES = ['hr', 'manager', 'boss', 'admin'];
+
+const SNIPPET_LENGTH = 160;
+
+// Every source loads page × limit matches, so both are bounded
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_PAGE = 20;
+
+const clamp = (value, fallback, max) => Math.min(Math.max(parseInt(value) || fallback, 1), max);
+
+const getEmployeeId = (user) => user.employee?._id || user.employee;
+
+// Text around the first search term found in `text`
+const buildSnippet = (text, terms) => {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  const index = terms
+    .map(term => lower.indexOf(term))
+    .filter(position => position >= 0)
+    .reduce((first, position) => Math.min(first, position), Infinity);
+  const start = index === Infinity ? 0 : Math.max(0, index - SNIPPET_LENGTH / 4);
+  const snippet = text.slice(start, start + SNIPPET_LENGTH).trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+};
+
+// Notices published to the user (same audiences as getNoticeRecipients)
+const noticeAudienceQuery = (user) => {
+  if (['boss', 'admin'].includes(user.role)) return {};
+
+  const audiences = [{ targetAudience: 'all' }, { publishedBy: user._id }];
+  if (user.role === 'employee') audiences.push({ targetAudience: 'employees' });
+  if (user.role === 'manager') audiences.push({ targetAudience: 'managers' });
+  if (user.role === 'hr') audiences.push({ targetAudience: 'hr' });
+
+  const departmentId = user.employee?.department?._id || user.employee?.department;
+  if (departmentId) {
+    audiences.push({ targetAudience: 'specific-department', departments: departmentId });
+  }
+
+  const query = { $or: audiences };
+  if (!HR_ROLES.includes(user.role)) {
+    query.isActive = true;
+    query.$and = [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }];
+  }
+  return query;
+};
+
+// Each source: the model, the user's access filter, the fields to load and
+// how a document becomes a result
+const SEARCH_SOURCES = {
+  message: {
+    model: Message,
+    async filter(user) {
+      const chats = await Chat.find({ participants: user._id, isActive: true }).select('_id').lean();
+      return { chat: { $in: chats.map(chat => chat._id) }, isDeleted: { $ne: true } };
+    },
+    select: 'chat sender content createdAt',
+    populate: { path: 'sender', select: 'email' },
+    toResult: (message, terms) => ({
+      title: message.sender?.email || 'Message',
+      snippet: buildSnippet(message.content, terms),
+      date: message.createdAt,
+      data: { chatId: message.chat, sender: message.sender }
+    })
+  },
+
+  task: {
+    model: Task,
+    filter: (user) => (HR_ROLES.includes(user.role)
+      ? {}
+      : { $or: [{ assignedBy: user._id }, { assignedTo: getEmployeeId(user) }] }),
+    select: 'title description comments status priority dueDate createdAt',
+    toResult: (task, terms) => {
+      const comment = (task.comments || []).find(c => terms.some(term => c.content?.toLowerCase().includes(term)));
+      return {
+        title: task.title,
+        snippet: buildSnippet(comment ? comment.content : task.description, terms),
+        date: task.createdAt,
+        data: { status: task.status, priority: task.priority, dueDate: task.dueDate }
+      };
+    }
+  },
+
+  ticket: {
+    model: Ticket,
+    filter: (user) => (HR_ROLES.includes(user.role) ? {} : { employee: getEmployeeId(user) }),
+    select: 'ticketNumber subject description status priority category createdAt',
+    toResult: (ticket, terms) => ({
+      title: `${ticket.ticketNumber} ${ticket.subject}`,
+      snippet: buildSnippet(ticket.description, terms),
+      date: ticket.createdAt,
+      data: { ticketNumber: ticket.ticketNumber, status: ticket.status, priority: ticket.priority, category: ticket.category }
+    })
+  },
+
+  notice: {
+    model: Notice,
+    filter: noticeAudienceQuery,
+    select: 'title content category priority publishedAt isPinned',
+    toResult: (notice, terms) => ({
+      title: notice.title,
+      snippet: buildSnippet(notice.content, terms),
+      date: notice.publishedAt,
+      data: { category: notice.category, priority: notice.priority, isPinned: notice.isPinned }
+    })
+  },
+
+  meeting: {
+    model: Meeting,
+    filter: (user) => (['boss', 'admin', 'hr'].includes(user.role)
+      ? {}
+      : { $or: [{ organizer: user._id }, { 'attendees.employee': getEmployeeId(user) }] }),
+    select: 'title description startTime endTime status location',
+    toResult: (meeting, terms) => ({
+      title: meeting.title,
+      snippet: buildSnippet(meeting.description, terms),
+      date: meeting.startTime,
+      data: { startTime: meeting.startTime, endTime: meeting.endTime, status: meeting.status, location: meeting.location }
+    })
+  }
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_SOURCES);
+
+// Ranked page of results for `q` across `types` (default: all), plus the
+// number of matches per type and the page and limit used (missing or
+// out-of-range values fall back to the default or the nearest bound)
+const search = async (user, q, { types = SEARCH_TYPES, page: requestedPage, limit: requestedLimit } = {}) => {
+  const page = clamp(requestedPage, 1, MAX_SEARCH_PAGE);
+  const limit = clamp(requestedLimit, SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE);
+  // Words to highlight in snippets (not excluded ones)
+  const terms = q.toLowerCase()
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/"/g, ''))
+    .filter(Boolean);
+  // Enough results from every source to fill the requested page after merging
+  const perSource = page * limit;
+
+  const bySource = await Promise.all(types.map(async (type) => {
+    const source = SEARCH_SOURCES[type];
+    const query = { ...(await source.filter(user)), $text: { $search: q } };
+
+    let find = source.model.find(query, { score: { $meta: 'textScore' } })
+      .select(source.select)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(perSource)
+      .lean();
+    if (source.populate) find = find.populate(source.populate);
+
+    const [docs, total] = await Promise.all([find, source.model.countDocuments(query)]);
+    return {
+      type,
+      total,
+      results: docs.map(doc => ({ type, _id: doc._id, score: doc.score, ...source.toResult(doc, terms) }))
+    };
+  }));
+
+  const results = bySource
+    .flatMap(source => source.results)
+    .sort((a, b) => b.score - a.score || new Date(b.date) - new Date(a.date))
+    .slice((page - 1) * limit, page * limit);
+
+  const totals = Object.fromEntries(bySource.map(source => [source.type, source.total]));
+  const total = bySource.reduce((sum, source) => sum + source.total, 0);
+
+  return { results, totals, total, page, limit };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  search
+};
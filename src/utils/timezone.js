@@ -0,0 +1,182 @@
+// ─── Timezone Helpers ─────────────────────────────────────────────────
+// All day/week/month/year boundaries are computed in the organization's
+// timezone (Settings.timezone, optionally overridden per employee) instead
+// of the server's local time. Only Intl is used, so the result is the same
+// whether the server runs in UTC or anywhere else.
+
+// Until a timezone is set, the server's own (TZ), so day boundaries stay where
+// they were before settings had one
+const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the timezone (month is 1-12, weekday 0 = Sunday)
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+// Offset of the timezone from UTC (ms) at the given instant
+const getOffset = (date, timezone) => {
+  const d = new Date(date);
+  const p = getZonedParts(d, timezone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - (d.getTime() - d.getMilliseconds());
+};
+
+// Instant for a wall-clock time in the timezone.
+// Out-of-range values roll over like Date.UTC (e.g. day 0 = last day of previous month).
+const fromZonedParts = ({ year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timezone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const offset = getOffset(guess, timezone);
+  const adjustedOffset = getOffset(guess - offset, timezone);
+  // Re-check once in case the guess landed across a DST change
+  return new Date(guess - adjustedOffset);
+};
+
+const minutesOfDay = (date, timezone) => {
+  const { hour, minute } = getZonedParts(date, timezone);
+  return hour * 60 + minute;
+};
+
+const startOfDay = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return fromZonedParts({ year, month, day }, timezone);
+};
+
+const endOfDay = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return new Date(fromZonedParts({ year, month, day: day + 1 }, timezone).getTime() - 1);
+};
+
+// Same wall-clock time, n calendar days later (negative n goes back)
+const addDays = (date, days, timezone) => {
+  const p = getZonedParts(date, timezone);
+  return fromZonedParts({ ...p, day: p.day + days, millisecond: new Date(date).getMilliseconds() }, timezone);
+};
+
+// Weeks start on Sunday
+const startOfWeek = (date, timezone) => {
+  const { year, month, day, weekday } = getZonedParts(date, timezone);
+  return fromZonedParts({ year, month, day: day - weekday }, timezone);
+};
+
+const endOfWeek = (date, timezone) => {
+  const { year, month, day, weekday } = getZonedParts(date, timezone);
+  return new Date(fromZonedParts({ year, month, day: day - weekday + 7 }, timezone).getTime() - 1);
+};
+
+const startOfMonth = (date, timezone) => {
+  const { year, month } = getZonedParts(date, timezone);
+  return fromZonedParts({ year, month, day: 1 }, timezone);
+};
+
+const endOfMonth = (date, timezone) => {
+  const { year, month } = getZonedParts(date, timezone);
+  return new Date(fromZonedParts({ year, month: month + 1, day: 1 }, timezone).getTime() - 1);
+};
+
+const startOfYear = (date, timezone) => {
+  const { year } = getZonedParts(date, timezone);
+  return fromZonedParts({ year, month: 1, day: 1 }, timezone);
+};
+
+const endOfYear = (date, timezone) => {
+  const { year } = getZonedParts(date, timezone);
+  return new Date(fromZonedParts({ year: year + 1, month: 1, day: 1 }, timezone).getTime() - 1);
+};
+
+// Calendar date in the timezone as 'YYYY-MM-DD'
+const toDateKey = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Parse a query/body date. Plain 'YYYY-MM-DD' values are read as midnight in
+// the timezone (new Date() would read them as UTC midnight).
+const parseDate = (value, timezone) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return fromZonedParts({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, timezone);
+  }
+  return new Date(value);
+};
+
+// Organization timezone from settings
+const getOrgTimezone = async () => {
+  const Settings = require('../models/Settings');
+  const settings = await Settings.getSettings();
+  return isValidTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+};
+
+// Employee's own timezone if set, otherwise the organization's
+const getEmployeeTimezone = async (employee) => {
+  let timezone = employee?.timezone;
+  if (timezone === undefined && employee) {
+    const Employee = require('../models/Employee');
+    const record = await Employee.findById(employee._id || employee).select('timezone').lean();
+    timezone = record?.timezone;
+  }
+  return isValidTimezone(timezone) ? timezone : getOrgTimezone();
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  fromZonedParts,
+  minutesOfDay,
+  startOfDay,
+  endOfDay,
+  addDays,
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+  startOfYear,
+  endOfYear,
+  toDateKey,
+  parseDate,
+  getOrgTimezone,
+  getEmployeeTimezone
+};
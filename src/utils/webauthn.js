@@ -0,0 +1,175 @@
+const { generateAuthenticationOptions, verifyAuthenticationResponse } = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+
+// ─── WebAuthn Helpers ─────────────────────────────────────────────────
+// Shared by fingerprint login (auth routes) and verified attendance punches.
+
+// Helper function to get RP ID from request origin
+const getRPID = (req) => {
+  // Check if RP ID is set in environment
+  if (process.env.WEBAUTHN_RP_ID) {
+    return process.env.WEBAUTHN_RP_ID;
+  }
+
+  // Get origin from request headers
+  const origin = req.headers.origin || req.headers.referer;
+
+  if (origin) {
+    try {
+      const url = new URL(origin);
+      const hostname = url.hostname;
+
+      // For localhost, use localhost
+      if (hostname === 'localhost' || hostname === '127.0.0.1') {
+        return 'localhost';
+      }
+
+      // For production, extract domain (remove port and www)
+      // e.g., https://employee-website-dkq3.onrender.com -> employee-website-dkq3.onrender.com
+      return hostname.replace(/^www\./, '');
+    } catch (e) {
+      console.error('Error parsing origin:', e);
+    }
+  }
+
+  // Fallback to localhost for development
+  return 'localhost';
+};
+
+// Helper function to get origin from request
+const getOrigin = (req) => {
+  if (process.env.WEBAUTHN_ORIGIN) {
+    return process.env.WEBAUTHN_ORIGIN;
+  }
+
+  const origin = req.headers.origin || req.headers.referer;
+  if (origin) {
+    try {
+      const url = new URL(origin);
+      return url.origin;
+    } catch (e) {
+      console.error('Error parsing origin:', e);
+    }
+  }
+
+  // Fallback
+  return process.env.NODE_ENV === 'production'
+    ? 'https://localhost'
+    : 'http://localhost:5173';
+};
+
+// ─── Punch Verification ───────────────────────────────────────────────
+// Departments with requirePunchVerification make check-in, check-out and
+// break start/end prove the employee is at their own device: the client asks
+// for a challenge bound to the action, signs it with a registered fingerprint
+// credential and sends the assertion with the punch. Challenges are single-use
+// and short-lived, so a shared login token alone cannot punch.
+
+const PUNCH_ACTIONS = ['check-in', 'check-out', 'break-start', 'break-end'];
+const PUNCH_CHALLENGE_TTL_MS = 2 * 60 * 1000;
+
+const isPunchVerificationRequired = async (employeeId) => {
+  if (!employeeId) return false;
+  const Employee = require('../models/Employee');
+  const employee = await Employee.findById(employeeId._id || employeeId)
+    .select('department')
+    .populate('department', 'requirePunchVerification')
+    .lean();
+  return !!employee?.department?.requirePunchVerification;
+};
+
+// Authentication options for one punch, limited to the user's own credentials
+const startPunchVerification = async (req, action) => {
+  const User = require('../models/User');
+  const user = await User.findById(req.user._id).select('webauthnCredentials');
+
+  if (!user.webauthnCredentials || user.webauthnCredentials.length === 0) {
+    return { error: 'Register a fingerprint before punching attendance' };
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: getRPID(req),
+    timeout: 60000,
+    allowCredentials: user.webauthnCredentials.map(cred => ({ id: cred.credentialId })),
+    userVerification: 'required'
+  });
+
+  user.webauthnPunchChallenge = options.challenge;
+  user.webauthnPunchAction = action;
+  user.webauthnPunchChallengeExpires = new Date(Date.now() + PUNCH_CHALLENGE_TTL_MS);
+  await user.save();
+
+  return { options };
+};
+
+// Verify the assertion sent with a punch.
+// Returns { verified: true, credentialId } or { verified: false, message }
+const verifyPunchAssertion = async (req, action, credential) => {
+  if (!credential || !credential.id || !credential.response) {
+    return { verified: false, message: 'Fingerprint verification is required for this action' };
+  }
+
+  const User = require('../models/User');
+  const user = await User.findById(req.user._id)
+    .select('webauthnCredentials webauthnPunchChallenge webauthnPunchAction webauthnPunchChallengeExpires');
+
+  const expectedChallenge = user.webauthnPunchChallenge;
+  const isCurrent = expectedChallenge
+    && user.webauthnPunchAction === action
+    && user.webauthnPunchChallengeExpires > new Date();
+
+  // Single use: clear the challenge whatever the outcome
+  user.webauthnPunchChallenge = undefined;
+  user.webauthnPunchAction = undefined;
+  user.webauthnPunchChallengeExpires = undefined;
+
+  if (!isCurrent) {
+    await user.save();
+    return { verified: false, message: 'Fingerprint challenge is missing or expired. Please try again.' };
+  }
+
+  const userCredential = user.webauthnCredentials.find(c => c.credentialId === credential.id);
+  if (!userCredential) {
+    await user.save();
+    return { verified: false, message: 'Fingerprint credential is not registered to your account' };
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response: credential,
+      expectedChallenge,
+      expectedOrigin: getOrigin(req),
+      expectedRPID: getRPID(req),
+      credential: {
+        id: userCredential.credentialId,
+        publicKey: new Uint8Array(isoBase64URL.toBuffer(userCredential.publicKey)),
+        counter: userCredential.counter || 0
+      },
+      requireUserVerification: true
+    });
+  } catch (error) {
+    await user.save();
+    return { verified: false, message: 'Fingerprint verification failed: ' + error.message };
+  }
+
+  if (!verification.verified) {
+    await user.save();
+    return { verified: false, message: 'Fingerprint verification failed' };
+  }
+
+  userCredential.counter = verification.authenticationInfo.newCounter;
+  userCredential.lastUsed = new Date();
+  await user.save();
+
+  return { verified: true, credentialId: userCredential.credentialId };
+};
+
+module.exports = {
+  getRPID,
+  getOrigin,
+  PUNCH_ACTIONS,
+  isPunchVerificationRequired,
+  startPunchVerification,
+  verifyPunchAssertion
+};